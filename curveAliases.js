@@ -0,0 +1,141 @@
+// curveAliases.js
+// Curve-family detection. Maps mnemonics (RHOB, RHOZ, DEN, ...) and unit spellings
+// (G/C3, g/cm3, K/M3, API, ohm.m, ...) to canonical curve types, so the petrophysics
+// inputs and track styling work whatever the service company called the curve.
+//
+// CURVE_ALIASES is plain data: pass a modified copy to the functions below (or to
+// bindCurveEditor({ curveAliases })) to add local mnemonics or units.
+//   mnemonics: most preferred first; "GR" also matches "GR_1", "GR2", "GR:1"
+//   units:     spelling -> factor to the type's canonical unit
+//
+// DOM-free.
+
+export const CURVE_ALIASES = {
+  DENSITY: {
+    label: "Bulk density",
+    unit: "KG/M3",
+    mnemonics: ["RHOB", "RHOZ", "DEN", "ZDEN", "DENS", "RHO8", "HDEN"],
+    units: { "KG/M3": 1, "K/M3": 1, "G/C3": 1000, "G/CC": 1000, "G/CM3": 1000, "GM/CC": 1000 },
+  },
+  GAMMA: {
+    label: "Gamma ray",
+    unit: "GAPI",
+    mnemonics: ["GR", "GRC", "SGR", "CGR", "ECGR", "HSGR", "GRD", "GAM"],
+    units: { "GAPI": 1, "API": 1 },
+  },
+  RESISTIVITY: {
+    label: "Deep resistivity",
+    unit: "OHMM",
+    mnemonics: ["ILD", "RT", "LLD", "AT90", "AHT90", "RD", "RDEP", "RLA5", "HDRS"],
+    units: { "OHMM": 1, "OHM.M": 1, "OHM-M": 1, "OHMS": 1, "OHM": 1 },
+  },
+  // Listed so that medium / shallow readings are never taken for Rt.
+  SHALLOW_RESISTIVITY: {
+    label: "Medium / shallow resistivity",
+    unit: "OHMM",
+    mnemonics: ["ILM", "LLS", "AT60", "AT30", "AT20", "AT10", "RM", "RS", "SFL", "MSFL", "RXO"],
+    units: { "OHMM": 1, "OHM.M": 1, "OHM-M": 1, "OHMS": 1, "OHM": 1 },
+  },
+  NEUTRON: {
+    label: "Neutron porosity",
+    unit: "V/V",
+    mnemonics: ["NPHI", "TNPH", "NPOR", "CNL", "NPHS", "CNCF"],
+    units: { "V/V": 1, "FRAC": 1, "DEC": 1, "M3/M3": 1, "PU": 0.01, "%": 0.01 },
+  },
+  SONIC: {
+    label: "Compressional slowness",
+    unit: "US/F",
+    mnemonics: ["DT", "DTC", "DTCO", "AC", "DT4P"],
+    units: { "US/F": 1, "US/FT": 1, "USEC/FT": 1, "US/M": 0.3048, "USEC/M": 0.3048 },
+  },
+  CALIPER: {
+    label: "Caliper",
+    unit: "IN",
+    mnemonics: ["CALI", "CAL", "HCAL", "CALS", "C1", "LCAL"],
+    units: { "IN": 1, "MM": 1 / 25.4, "CM": 1 / 2.54 },
+  },
+  SP: {
+    label: "Spontaneous potential",
+    unit: "MV",
+    mnemonics: ["SP", "SPBR", "SSP"],
+    units: { "MV": 1 },
+  },
+  PE: {
+    label: "Photoelectric factor",
+    unit: "B/E",
+    mnemonics: ["PE", "PEF", "PEFZ", "PEF8"],
+    units: { "B/E": 1, "B/EL": 1, "BARN/E": 1 },
+  },
+};
+
+/**
+ * Canonical type of a curve ("DENSITY", "GAMMA", ...) or null when nothing matches.
+ */
+export function curveType(curve, aliases = CURVE_ALIASES) {
+  let best = null;
+  let bestScore = 0;
+  for (const type of Object.keys(aliases)) {
+    const score = scoreCurve(curve, aliases[type]);
+    if (score > bestScore) {
+      best = type;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Curves of the given type, best candidate first. A curve is only listed under the
+ * type it matches best (a "GR" in PU is not a neutron candidate).
+ */
+export function rankCurves(curves, type, aliases = CURVE_ALIASES) {
+  const family = aliases[type];
+  if (!family) throw new Error(`Unknown curve type: ${type}`);
+
+  return curves
+    .map((curve, index) => ({ curve, index, score: scoreCurve(curve, family) }))
+    .filter(r => r.score > 0 && curveType(r.curve, aliases) === type)
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .map(r => r.curve);
+}
+
+/**
+ * Factor that converts the curve's values to the type's canonical unit
+ * (1000 for density in G/C3). 1 when the unit is blank or not listed.
+ */
+export function canonicalFactor(curve, type, aliases = CURVE_ALIASES) {
+  const units = aliases[type]?.units || {};
+  const key = normalizeUnit(curve?.unit);
+  for (const [spelling, factor] of Object.entries(units)) {
+    if (normalizeUnit(spelling) === key) return factor;
+  }
+  return 1;
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// Mnemonic matches weigh more than units (units are shared by several families);
+// earlier aliases rank higher so RHOB beats DEN when both are present.
+function scoreCurve(curve, family) {
+  const mnemonic = String(curve?.mnemonic || "").trim().toUpperCase();
+  const unit = normalizeUnit(curve?.unit);
+  const aliasCount = family.mnemonics.length;
+
+  let score = 0;
+  family.mnemonics.forEach((alias, i) => {
+    const rank = (aliasCount - i) / aliasCount; // (0, 1]
+    if (mnemonic === alias) score = Math.max(score, 20 + rank);
+    else if (new RegExp(`^${escapeRegExp(alias)}[_:.\\-]?\\d+$`).test(mnemonic)) score = Math.max(score, 10 + rank);
+  });
+
+  if (unit && Object.keys(family.units).some(u => normalizeUnit(u) === unit)) score += 5;
+  return score;
+}
+
+function normalizeUnit(unit) {
+  return String(unit || "").trim().toUpperCase().replace(/[\s·]/g, "");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
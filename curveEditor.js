@@ -2,11 +2,20 @@
 // Unified curve editor UI:
 // - #curveSelector selects the source curve
 // - #curveOperator and #newName are applied ONLY via #curveApplyEdits
+//   #curveOperator takes a formula over any curves (curveExpr.js), e.g. log10(RT) or
+//   if(CALI > 250, null, GR), or the shorthand +10 / *5 applied to the selected curve
 //   Behavior:
 //     * op empty, name non-empty   => rename selected curve to newName
 //     * op non-empty, name non-empty => create new derived curve named newName
 //     * op non-empty, name empty  => create new derived curve named NEW_<src>
 //     * op empty, name empty      => no-op
+// - #curveFilter runs the selected curve through a filter (curveFilters.js) instead of a
+//   formula, with #filterWindow (depth length) and #filterThreshold (despike); the default
+//   name is <src>_<suffix>. #filterPreview draws the result over the tracks showing the
+//   selected curve until it is applied or the filter changes.
+// - #editTop / #editBase limit formulas to a depth interval (blank = open-ended); they can
+//   be filled from a pair of tops (#editTopFrom / #editTopTo) or by dragging on a track
+//   (#editPickInterval). Samples outside keep their values.
 // - #deleteCurveBtn opens a modal/popup grid to multi-select curves for deletion
 //
 // Also keeps ALL selectors in sync (main + per-track selectors from initFourDepthTracks)
@@ -19,22 +28,86 @@
 // - tracksCtrl.state.tracks[] where each track has { selectEl, selectedMnemonic? }
 // - tracksCtrl.setTrack(trackIndex, mnemonicOrEmpty)
 //
+// The density / gamma / resistivity selectors list curves by family (curveAliases.js), best
+// candidate first and pre-selected. #vshMethodSelector, #grCleanInput and #grShaleInput
+// drive VSH from the gamma curve; blank GR values are its P5 / P95, shown as placeholders.
+// #porosityModelSelector (with the neutron / sonic selectors, #dtmaInput, #dtfInput) and
+// #shaleCorrectionInput pick the porosity SWARCH and the zonal stats use; the porosity
+// track follows it. #swModelSelector adds a shaly-sand Sw curve (with #vshSourceSelector,
+// #aInput, #rshInput, #rwbInput, #phiShInput; rows of unused parameters are hidden); the
+// curves of models picked before stay and are recomputed, for side-by-side tracks.
+// A "preview" event on #rwInput / #mInput / #nInput (pickettPlot.js drags) recomputes the
+// curves outside the edit history; the "change" that ends it puts them back first, so the
+// whole drag is one undoable recompute.
+//
 // This mirrors the behavior in your previous modules :contentReference[oaicite:0]{index=0} :contentReference[oaicite:1]{index=1} :contentReference[oaicite:2]{index=2}
 
+import { CURVE_ALIASES, rankCurves } from "./curveAliases.js";
+import {
+  VSH_METHODS,
+  VSH_PERCENTILES,
+  POROSITY_MODELS,
+  POROSITY_MNEMONICS,
+  SW_MODELS,
+  computePetroCurves,
+  describePetroRun,
+  gammaEndpoints,
+  swPorosityMnemonic,
+  swMnemonic,
+} from "./petrophysics.js";
+import { parseCurveExpr, evaluateCurveExpr } from "./curveExpr.js";
+import { recordEdit } from "./editHistory.js";
+import { CURVE_FILTERS, applyCurveFilter, describeCurveFilter } from "./curveFilters.js";
+import { lasDepthUnit, logEdit } from "./lasio.js";
+import { depthUnitLabel } from "./units.js";
+import { DEFAULT_SETTINGS } from "./settings.js";
+
 export function bindCurveEditor(las, tracksCtrl, {
   mainSelectorId = "curveSelector",
   densitySelectorId = "densitySelector",
   gammaSelectorId = "gammaSelector",
   resistivitySelectorId = "resistivitySelector",
+  neutronSelectorId = "neutronSelector",
+  sonicSelectorId = "sonicSelector",
   operatorId = "curveOperator",
   newNameId = "newName",
   applyBtnId = "curveApplyEdits",
+  filterSelectId = "curveFilter",
+  filterWindowInputId = "filterWindow",
+  filterWindowLabelId = "filterWindowLabel",
+  filterThresholdInputId = "filterThreshold",
+  filterPreviewBtnId = "filterPreview",
+
+  editTopInputId = "editTop",
+  editBaseInputId = "editBase",
+  topFromSelectId = "editTopFrom",
+  topToSelectId = "editTopTo",
+  pickIntervalBtnId = "editPickInterval",
+  topsGetter = () => window.topsData,
+  zonesGetter = () => [], // zoneParams.js: per-zone parameter overrides
+  // false when las is a restored undo / redo state: its petrophysics curves are kept as
+  // recorded instead of being recomputed from the current panel inputs.
+  computePetro = true,
+  logPetro = false, // log the petrophysics run in the audit trail (a newly loaded file)
 
   pmaInputId = "pmaInput",
   pfInputId = "pfInput",
   rwInputId = "rwInput",
   nInputId = "nInput",
   mInputId = "mInput",
+  vshMethodSelectId = "vshMethodSelector",
+  grCleanInputId = "grCleanInput",
+  grShaleInputId = "grShaleInput",
+  porosityModelSelectId = "porosityModelSelector",
+  dtmaInputId = "dtmaInput",
+  dtfInputId = "dtfInput",
+  shaleCorrectionInputId = "shaleCorrectionInput",
+  swModelSelectId = "swModelSelector",
+  vshSourceSelectId = "vshSourceSelector",
+  aInputId = "aInput",
+  rshInputId = "rshInput",
+  rwbInputId = "rwbInput",
+  phiShInputId = "phiShInput",
 
   dphiCutoffInputId = "dphiCutoffInput",
   resCutoffInputId = "resCutoff",
@@ -49,7 +122,9 @@ export function bindCurveEditor(las, tracksCtrl, {
   deleteCancelId = "curveDeleteCancel",
 
 
-  protectedMnemonics = ["DEPT", "DEPTH", "DPHIX"],
+  protectedMnemonics = DEFAULT_SETTINGS.protectedMnemonics, // settings.js
+  curveAliases = CURVE_ALIASES,
+  history = null, // editHistory.js: rename / derive / delete / petrophysics become undoable
 } = {}) {
   let _las = las;
 
@@ -59,9 +134,23 @@ export function bindCurveEditor(las, tracksCtrl, {
   const nameInput = mustEl(newNameId);
   const applyBtn = mustEl(applyBtnId);
 
+  const filterSel = mustEl(filterSelectId);
+  const filterWindowInput = mustEl(filterWindowInputId);
+  const filterWindowLabel = mustEl(filterWindowLabelId);
+  const filterThresholdInput = mustEl(filterThresholdInputId);
+  const filterPreviewBtn = mustEl(filterPreviewBtnId);
+
+  const editTopInput = mustEl(editTopInputId);
+  const editBaseInput = mustEl(editBaseInputId);
+  const topFromSel = mustEl(topFromSelectId);
+  const topToSel = mustEl(topToSelectId);
+  const pickBtn = mustEl(pickIntervalBtnId);
+
   const densitySel = mustEl(densitySelectorId);
   const gammaSel = mustEl(gammaSelectorId)
   const resistivitySel = mustEl(resistivitySelectorId)
+  const neutronSel = mustEl(neutronSelectorId)
+  const sonicSel = mustEl(sonicSelectorId)
   const dphiCutoffInput = mustEl(dphiCutoffInputId);
   const resCutoffInput = mustEl(resCutoffInputId)
   const grCutoffInput = mustEl(grCutoffInputId)
@@ -71,6 +160,22 @@ export function bindCurveEditor(las, tracksCtrl, {
   const rwInput = mustEl(rwInputId)
   const nInput = mustEl(nInputId)
   const mInput = mustEl(mInputId)
+  const vshMethodSel = mustEl(vshMethodSelectId)
+  const grCleanInput = mustEl(grCleanInputId)
+  const grShaleInput = mustEl(grShaleInputId)
+  const porosityModelSel = mustEl(porosityModelSelectId)
+  const dtmaInput = mustEl(dtmaInputId)
+  const dtfInput = mustEl(dtfInputId)
+  const shaleCorrectionInput = mustEl(shaleCorrectionInputId)
+  const swModelSel = mustEl(swModelSelectId)
+  const vshSourceSel = mustEl(vshSourceSelectId)
+  const aInput = mustEl(aInputId)
+  const swParamInputs = {
+    vsh: vshSourceSel,
+    rsh: mustEl(rshInputId),
+    rwb: mustEl(rwbInputId),
+    phiSh: mustEl(phiShInputId),
+  }
 
   const deleteBtn = mustEl(deleteBtnId);
 
@@ -80,31 +185,183 @@ export function bindCurveEditor(las, tracksCtrl, {
   const btnConfirm = mustEl(deleteConfirmId);
   const btnCancel = mustEl(deleteCancelId);
 
+  // Rebinding (startGraph) must not stack handlers; destroy() removes them.
+  const listeners = new AbortController();
+  const { signal } = listeners;
+
   // Initial populate everywhere
-  populateParameterSelectors(_las, densitySel, gammaSel, resistivitySel);
-  createPetroCurve(las)
-  
+  populateParameterSelectors(_las, densitySel, gammaSel, resistivitySel, curveAliases, { neutronSel, sonicSel });
+  populateVshMethodSelector(vshMethodSel);
+  populatePorosityModelSelector(porosityModelSel);
+  populateSwModelSelector(swModelSel);
+  showSwParams();
+  if (computePetro) createPetroCurve(las, curveAliases, zonesGetter(), { log: logPetro })
+  else showGammaEndpoints(las, readPetroParams())
+  populateVshSourceSelector(vshSourceSel, _las);
   
   refreshAllSelectors(_las, tracksCtrl, mainSel);
-  tracksCtrl.setTrack(6, "DPHIX");
-  tracksCtrl.setTrack(7, "SWARCH");
+  // Petro curves exist only when their input curves were found.
+  const porosity = swPorosityMnemonic(readPetroParams())
+  if (findCurveIdx(_las, "VSH") !== -1) tracksCtrl.setTrack(5, "VSH");
+  if (findCurveIdx(_las, porosity) !== -1) tracksCtrl.setTrack(6, porosity);
+  const sw = swMnemonic(readPetroParams())
+  if (findCurveIdx(_las, sw) !== -1) tracksCtrl.setTrack(7, sw);
+
+  // Only the selected Sw model's parameter rows are shown.
+  function showSwParams() {
+    const used = SW_MODELS[swModelSel.value]?.params || []
+    for (const [key, el] of Object.entries(swParamInputs)) {
+      const row = el.closest("tr")
+      if (row) row.hidden = !used.includes(key)
+    }
+  }
   
+  // Petro curves as they were before the first preview: [{ curve, data, description }].
+  let previewBase = null
+
+  function previewPetro() {
+    if (!previewBase) previewBase = _las.curves.map(c => ({ curve: c, data: c.data, description: c.description }))
+    try {
+      createPetroCurve(_las, curveAliases, zonesGetter())
+    } catch {
+      return // refreshPetro reports it
+    }
+    const petro = ["VSH", ...POROSITY_MNEMONICS, ...Object.values(SW_MODELS).map(s => s.mnemonic)]
+    for (const mn of petro) updateTracksMnemonic(tracksCtrl, mn, mn)
+  }
+
+  function endPreview() {
+    if (!previewBase) return
+    const kept = new Set(previewBase.map(e => e.curve))
+    for (let i = _las.curves.length - 1; i >= 0; i--) {
+      if (!kept.has(_las.curves[i])) _las.curves.splice(i, 1)
+    }
+    for (const e of previewBase) {
+      e.curve.data = e.data
+      e.curve.description = e.description
+    }
+    previewBase = null
+  }
+
   function refreshPetro() {
-    createPetroCurve(_las);
-    updateTracksMnemonic(tracksCtrl, "DPHIX", "DPHIX")
-    updateTracksMnemonic(tracksCtrl, "SWARCH", "SWARCH")
+    endPreview()
+    const clean = grCleanInput.value.trim() === "" ? null : Number(grCleanInput.value)
+    const shale = grShaleInput.value.trim() === "" ? null : Number(grShaleInput.value)
+    if (clean != null && shale != null && !(shale > clean)) {
+      alert("GR shale must be greater than GR clean.")
+      return
+    }
+    const model = POROSITY_MODELS[porosityModelSel.value]
+    const inputSel = { density: densitySel, neutron: neutronSel, sonic: sonicSel }
+    const missing = model?.inputs.find(k => !inputSel[k].value)
+    if (missing) alert(`${model.label} porosity needs a ${missing} curve; its porosity and Sw curves are set to NULL.`)
+    recordEdit(history, "Recompute petrophysics", () => {
+      createPetroCurve(_las, curveAliases, zonesGetter(), { log: true });
+      // A model's curve may be new; porosity tracks switch to the porosity in use.
+      refreshAllSelectors(_las, tracksCtrl, mainSel);
+      populateVshSourceSelector(vshSourceSel, _las);
+      const params = readPetroParams()
+      const porosity = swPorosityMnemonic(params)
+      const shown = findCurveIdx(_las, porosity) !== -1 ? porosity : null
+      for (const mn of POROSITY_MNEMONICS) updateTracksMnemonic(tracksCtrl, mn, shown ?? mn)
+      // Sw tracks keep their model; a newly picked model goes on the Sw track.
+      for (const spec of Object.values(SW_MODELS)) updateTracksMnemonic(tracksCtrl, spec.mnemonic, spec.mnemonic)
+      const sw = swMnemonic(params)
+      const swShown = (tracksCtrl?.state?.tracks || []).some(t => t.selectedMnemonic === sw)
+      if (!swShown && findCurveIdx(_las, sw) !== -1) tracksCtrl.setTrack(7, sw)
+      updateTracksMnemonic(tracksCtrl, "VSH", "VSH")
+    })
+  }
+  densitySel.addEventListener("change", () => {refreshPetro()}, { signal })
+  gammaSel.addEventListener("change", () => {refreshPetro()}, { signal })
+  resistivitySel.addEventListener("change", () => {refreshPetro()}, { signal })
+  pmaInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  pfInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  rwInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  nInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  mInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  dphiCutoffInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  resCutoffInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  grCutoffInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  vshMethodSel.addEventListener("change", () => {refreshPetro()}, { signal })
+  grCleanInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  grShaleInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  neutronSel.addEventListener("change", () => {refreshPetro()}, { signal })
+  sonicSel.addEventListener("change", () => {refreshPetro()}, { signal })
+  porosityModelSel.addEventListener("change", () => {refreshPetro()}, { signal })
+  dtmaInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  dtfInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  shaleCorrectionInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  swModelSel.addEventListener("change", () => {showSwParams(); refreshPetro()}, { signal })
+  aInput.addEventListener("change", () => {refreshPetro()}, { signal })
+  for (const el of [rwInput, mInput, nInput]) el.addEventListener("preview", () => {previewPetro()}, { signal })
+  for (const el of Object.values(swParamInputs)) el.addEventListener("change", () => {refreshPetro()}, { signal })
+
+  // Edit interval: typed, from a pair of tops, or dragged on a track.
+  populateTopsSelector(topFromSel, topsGetter(), "From top…");
+  populateTopsSelector(topToSel, topsGetter(), "To top…");
+  topFromSel.addEventListener("change", () => {
+    if (topFromSel.value !== "") editTopInput.value = topFromSel.value;
+  }, { signal });
+  topToSel.addEventListener("change", () => {
+    if (topToSel.value !== "") editBaseInput.value = topToSel.value;
+  }, { signal });
+  pickBtn.textContent = "Drag on track";
+  pickBtn.addEventListener("click", () => {
+    if (tracksCtrl.state.depthPick) {
+      tracksCtrl.cancelDepthPick();
+      pickBtn.textContent = "Drag on track";
+      return;
+    }
+    pickBtn.textContent = "Cancel drag";
+    tracksCtrl.pickDepthInterval((top, base) => {
+      editTopInput.value = roundDepth(top);
+      editBaseInput.value = roundDepth(base);
+      topFromSel.value = "";
+      topToSel.value = "";
+      pickBtn.textContent = "Drag on track";
+    });
+  }, { signal });
+
+  // Filters: the window label and threshold follow the filter; a preview lasts until the
+  // filter, its parameters or the curve change.
+  populateFilterSelector(filterSel);
+  const clearPreview = () => tracksCtrl.setPreview?.(null);
+  const updateFilterInputs = () => {
+    const spec = CURVE_FILTERS[filterSel.value];
+    filterWindowLabel.textContent = spec?.windowLabel ?? "Window";
+    filterThresholdInput.hidden = !spec?.threshold;
+    filterThresholdInput.placeholder = spec?.threshold ? `Threshold (${spec.threshold})` : "Threshold";
+    clearPreview();
+  };
+  updateFilterInputs();
+  filterSel.addEventListener("change", updateFilterInputs, { signal });
+  for (const el of [filterWindowInput, filterThresholdInput, mainSel, editTopInput, editBaseInput]) {
+    el.addEventListener("change", clearPreview, { signal });
+  }
+  filterPreviewBtn.addEventListener("click", () => {
+    const srcMnemonic = (mainSel.value || "").trim();
+    if (!srcMnemonic) return;
+    if (!filterSel.value) {
+      alert("Choose a filter to preview");
+      return;
+    }
+    let data;
+    try {
+      data = filterCurveInterval(_las, srcMnemonic, filterSel.value, readFilterParams(), readInterval(editTopInput.value, editBaseInput.value));
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    if (!tracksCtrl.setPreview(srcMnemonic, data)) {
+      clearPreview();
+      alert(`Show ${srcMnemonic} on a track to preview the filter`);
+    }
+  }, { signal });
+
+  function readFilterParams() {
+    return { window: filterWindowInput.value, threshold: filterThresholdInput.value };
   }
-  densitySel.addEventListener("change", () => {refreshPetro()})
-  gammaSel.addEventListener("change", () => {refreshPetro()})
-  resistivitySel.addEventListener("change", () => {refreshPetro()})
-  pmaInput.addEventListener("change", () => {refreshPetro()})
-  pfInput.addEventListener("change", () => {refreshPetro()})
-  rwInput.addEventListener("change", () => {refreshPetro()})
-  nInput.addEventListener("change", () => {refreshPetro()})
-  mInput.addEventListener("change", () => {refreshPetro()})
-  dphiCutoffInput.addEventListener("change", () => {refreshPetro()})
-  resCutoffInput.addEventListener("change", () => {refreshPetro()})
-  grCutoffInput.addEventListener("change", () => {refreshPetro()})
 
   // Apply button logic (single source of truth)
   applyBtn.addEventListener("click", () => {
@@ -113,8 +370,14 @@ export function bindCurveEditor(las, tracksCtrl, {
 
     const expr = opInput.value.trim();
     const rawName = nameInput.value.trim();
+    const filter = filterSel.value;
 
-    const hasOp = expr.length > 0;
+    if (expr && filter) {
+      alert("Use either a formula or a filter, not both");
+      return;
+    }
+
+    const hasOp = expr.length > 0 || !!filter;
     const hasName = rawName.length > 0;
 
     if (!hasOp && !hasName) return;
@@ -142,10 +405,13 @@ export function bindCurveEditor(las, tracksCtrl, {
         return;
       }
 
-      renameCurve(_las, srcMnemonic, newMnemonic);
+      recordEdit(history, `Rename ${srcMnemonic} to ${newMnemonic}`, () => {
+        renameCurve(_las, srcMnemonic, newMnemonic);
+        logEdit(_las, "Rename", `${srcMnemonic} to ${newMnemonic}`);
 
-      refreshAllSelectors(_las, tracksCtrl, mainSel);
-      updateTracksMnemonic(tracksCtrl, srcMnemonic, newMnemonic);
+        refreshAllSelectors(_las, tracksCtrl, mainSel);
+        updateTracksMnemonic(tracksCtrl, srcMnemonic, newMnemonic);
+      });
 
       mainSel.value = newMnemonic;
       nameInput.value = "";
@@ -153,10 +419,19 @@ export function bindCurveEditor(las, tracksCtrl, {
     }
 
     // Op => create derived curve
-    const parsed = parseOperatorExpr(expr);
+    let parsed;
+    let interval;
+    try {
+      parsed = filter ? null : parseOperatorExpr(expr, srcMnemonic);
+      interval = readInterval(editTopInput.value, editBaseInput.value);
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
 
-    // Name: provided or default NEW_<src>
-    const outMnemonic = hasName ? sanitizeMnemonic(rawName) : `NEW_${srcMnemonic}`;
+    // Name: provided or default NEW_<src> (<src>_<suffix> for a filter)
+    const defaultName = filter ? `${srcMnemonic}_${CURVE_FILTERS[filter].suffix}` : `NEW_${srcMnemonic}`;
+    const outMnemonic = hasName ? sanitizeMnemonic(rawName) : defaultName;
 
     if (!outMnemonic) {
       alert("Invalid newName");
@@ -180,12 +455,28 @@ export function bindCurveEditor(las, tracksCtrl, {
       return;
     }
 
-    addDerivedCurveNamed(_las, srcMnemonic, outMnemonic, parsed);
+    try {
+      recordEdit(history, `${filter ? "Filter" : "Derive"} ${outMnemonic}`, () => {
+        const over = interval.top != null || interval.base != null ? ` over ${formatInterval(interval.top, interval.base)}` : "";
+        if (filter) {
+          addFilteredCurveNamed(_las, srcMnemonic, outMnemonic, filter, readFilterParams(), interval);
+          const unit = depthUnitLabel(lasDepthUnit(_las));
+          logEdit(_las, "Filter", `${outMnemonic} = ${describeCurveFilter(filter, readFilterParams(), unit)} of ${srcMnemonic}${over}`);
+        } else {
+          addDerivedCurveNamed(_las, srcMnemonic, outMnemonic, parsed, interval);
+          logEdit(_las, "Derive", `${outMnemonic} = ${parsed.text}${over}`);
+        }
+        clearPreview();
 
-    refreshAllSelectors(_las, tracksCtrl, mainSel);
+        refreshAllSelectors(_las, tracksCtrl, mainSel);
 
-    // If any track was showing the source curve, switch to the derived curve
-    updateTracksMnemonic(tracksCtrl, srcMnemonic, outMnemonic);
+        // If any track was showing the source curve, switch to the derived curve
+        updateTracksMnemonic(tracksCtrl, srcMnemonic, outMnemonic);
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
 
     // Select new curve in main selector
     mainSel.value = outMnemonic;
@@ -193,21 +484,23 @@ export function bindCurveEditor(las, tracksCtrl, {
     // Clear inputs
     opInput.value = "";
     nameInput.value = "";
-  });
+    filterSel.value = "";
+    updateFilterInputs();
+  }, { signal });
 
   // Delete button opens modal
   deleteBtn.addEventListener("click", () => {
     rebuildDeleteGrid(_las, grid, protectedMnemonics);
     openModal(modal);
-  });
+  }, { signal });
 
   // Modal buttons
-  btnCancel.addEventListener("click", () => closeModal(modal));
+  btnCancel.addEventListener("click", () => closeModal(modal), { signal });
 
   // Click outside panel closes (optional UX)
   modal.addEventListener("mousedown", (e) => {
     if (e.target === modal) closeModal(modal);
-  });
+  }, { signal });
 
   btnConfirm.addEventListener("click", () => {
     const selected = getSelectedDeleteMnemonics(grid);
@@ -231,20 +524,23 @@ export function bindCurveEditor(las, tracksCtrl, {
     );
     if (!ok) return;
 
-    // Perform deletions
-    for (const m of deletable) deleteCurve(_las, m);
+    recordEdit(history, `Delete ${deletable.join(", ")}`, () => {
+      // Perform deletions
+      for (const m of deletable) deleteCurve(_las, m);
+      logEdit(_las, "Delete", deletable.join(", "));
 
-    // Refresh selectors
-    refreshAllSelectors(_las, tracksCtrl, mainSel);
+      // Refresh selectors
+      refreshAllSelectors(_las, tracksCtrl, mainSel);
 
-    // Clear tracks showing deleted curves
-    clearTracksForDeleted(tracksCtrl, deletable);
+      // Clear tracks showing deleted curves
+      clearTracksForDeleted(tracksCtrl, deletable);
+    });
 
     // Ensure main selector is valid
     if (_las.curves.length) mainSel.value = _las.curves[0].mnemonic;
 
     closeModal(modal);
-  });
+  }, { signal });
 
   // API
   function setLas(newLas) {
@@ -257,11 +553,18 @@ export function bindCurveEditor(las, tracksCtrl, {
     refreshAllSelectors(_las, tracksCtrl, mainSel);
   }
 
+  // Settings panel: the list is read on every rename / overwrite / delete.
+  function setProtectedMnemonics(list) {
+    protectedMnemonics = list.slice();
+  }
+
   function destroy() {
-    // No-op (you can add removeEventListener wiring if needed)
+    listeners.abort();
+    tracksCtrl?.cancelDepthPick?.();
+    tracksCtrl?.setPreview?.(null);
   }
 
-  return { setLas, refresh, destroy };
+  return { setLas, refresh, setProtectedMnemonics, destroy };
 }
 
 /* ------------------------- helpers ------------------------- */
@@ -382,47 +685,48 @@ export function populateCurveSelector(selectEl, las) {
   }
 }
 
-export function populateParameterSelectors(las, densitySel, gammaSel, resistivitySel) {
+export function populateParameterSelectors(las, densitySel, gammaSel, resistivitySel, aliases = CURVE_ALIASES, { neutronSel = null, sonicSel = null } = {}) {
+  populateTypeSelector(densitySel, las, "DENSITY", aliases);
+  populateTypeSelector(gammaSel, las, "GAMMA", aliases);
+  populateTypeSelector(resistivitySel, las, "RESISTIVITY", aliases);
+  if (neutronSel) populateTypeSelector(neutronSel, las, "NEUTRON", aliases);
+  if (sonicSel) populateTypeSelector(sonicSel, las, "SONIC", aliases);
+}
 
-    while (densitySel.firstChild) densitySel.removeChild(densitySel.firstChild);
-    while (gammaSel.firstChild) gammaSel.removeChild(gammaSel.firstChild);
-    while (resistivitySel.firstChild) resistivitySel.removeChild(resistivitySel.firstChild);
+// Candidates of the type first (best pre-selected), then every other curve so an
+// unrecognized curve can still be picked by hand.
+function populateTypeSelector(selectEl, las, type, aliases) {
+  const prev = selectEl.value;
+  const candidates = rankCurves(las.curves, type, aliases);
+  const others = las.curves.filter(c => !candidates.includes(c));
 
-    for (const c of las.curves) {
-        const unit = c.unit;
-        const mn = c.mnemonic;
-        const label = unit ? `${mn} (${unit})` : mn;
-        const opt = document.createElement("option");
-        opt.value = mn;
-        opt.textContent = label;
-        if(unit == "K/M3" || unit == "KG/M3") {
-            densitySel.appendChild(opt);
-        }
-        if(unit == "GAPI") {
-            gammaSel.appendChild(opt)
-        }
-        if(unit == "OHMM") {
-            resistivitySel.appendChild(opt)
-        }
-        
-    }
+  while (selectEl.firstChild) selectEl.removeChild(selectEl.firstChild);
 
-    
-}
+  if (!candidates.length) {
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = `No ${aliases[type].label.toLowerCase()} curve`;
+    selectEl.appendChild(none);
+  }
 
-export function parseOperatorExpr(s) {
-  const t = s
-    .replace(/\s+/g, "")
-    .replace(/^x/i, "*");
+  for (const c of [...candidates, ...others]) {
+    const opt = document.createElement("option");
+    opt.value = c.mnemonic;
+    opt.textContent = c.unit ? `${c.mnemonic} (${c.unit})` : c.mnemonic;
+    selectEl.appendChild(opt);
+  }
 
-  const m = t.match(/^([+\-*/])([0-9]*\.?[0-9]+(?:e[+\-]?[0-9]+)?)$/i);
-  if (!m) throw new Error(`Invalid operator. Use like +5, *10, /2, -3`);
+  if (prev && las.curves.some(c => c.mnemonic === prev)) selectEl.value = prev;
+  else selectEl.value = candidates[0]?.mnemonic ?? "";
+}
 
-  const op = m[1];
-  const k = Number(m[2]);
-  if (!Number.isFinite(k)) throw new Error("Invalid number in operator");
-  if (op === "/" && k === 0) throw new Error("Division by zero");
-  return { op, k };
+// A formula (curveExpr.js), or the "+10" / "*5" / "x5" shorthand for one applied to the
+// selected curve.
+export function parseOperatorExpr(s, sourceMnemonic) {
+  const t = s.trim().replace(/^x(?=\s*[0-9.])/i, "*");
+  const shorthand = /^[+\-*/]/.test(t);
+  const expr = parseCurveExpr(shorthand ? `[${sourceMnemonic}] ${t}` : t);
+  return { ...expr, text: shorthand ? `${sourceMnemonic} ${t}` : expr.text, shorthand };
 }
 
 export function renameCurve(las, oldMnemonic, newMnemonic) {
@@ -436,188 +740,288 @@ export function deleteCurve(las, mnemonic) {
   if (idx === -1) return;
 
   las.curves.splice(idx, 1);
+}
 
-  if (las.data?.rows?.length) {
-    for (const row of las.data.rows) {
-      if (Array.isArray(row) && row.length > idx) row.splice(idx, 1);
-    }
+/**
+ * Create (or recompute) outMnemonic from a parsed expression (parseOperatorExpr).
+ * The new curve takes its metadata from the source curve: the selected curve when the
+ * formula uses it, else the first curve it references.
+ * With { top, base } (either may be null for open-ended) only samples whose index lies in
+ * the interval are computed; the others keep the values of the existing output curve, or of
+ * the selected curve when the output is new.
+ */
+export function addDerivedCurveNamed(las, sourceMnemonic, outMnemonic, expr, { top = null, base = null } = {}) {
+  const refs = expr.refs.map(r => r.toUpperCase());
+  const metaMnemonic = refs.includes(sourceMnemonic.toUpperCase()) || !refs.length ? sourceMnemonic : refs[0];
+  const srcIdx = findCurveIdx(las, metaMnemonic);
+  if (srcIdx === -1) throw new Error(`Curve not found: ${metaMnemonic}`);
+
+  const src = las.curves[srcIdx];
+  const dstIdx = findCurveIdx(las, outMnemonic);
+  const partial = top != null || base != null;
+
+  let dstData = evaluateCurveExpr(expr, las);
+  if (partial) {
+    const keepIdx = dstIdx !== -1 ? dstIdx : findCurveIdx(las, sourceMnemonic);
+    if (keepIdx === -1) throw new Error(`Curve not found: ${sourceMnemonic}`);
+    dstData = mergeInterval(las, dstData, las.curves[keepIdx].data || [], top, base);
   }
+  const description = `Derived: ${expr.text}` + (partial ? ` over ${formatInterval(top, base)}` : "");
+
+  // Shorthand edits keep the source's unit and decimals; a formula may change both.
+  const unit = expr.shorthand ? (src.unit || "") : "";
+  const layout = expr.shorthand || !src.layout
+    ? src.layout
+    : { ...src.layout, decimals: Math.max(src.layout.decimals ?? 0, 4) };
+
+  writeCurve(las, src, dstIdx, outMnemonic, dstData, { unit, layout, description, partial });
 }
 
-export function addDerivedCurveNamed(las, sourceMnemonic, outMnemonic, { op, k }) {
+/**
+ * Create (or recompute) outMnemonic as the source curve run through a filter
+ * (curveFilters.js). The curve keeps the source's unit and decimals; { top, base } limit
+ * the filter as for addDerivedCurveNamed.
+ */
+export function addFilteredCurveNamed(las, sourceMnemonic, outMnemonic, filter, params, { top = null, base = null } = {}) {
   const srcIdx = findCurveIdx(las, sourceMnemonic);
   if (srcIdx === -1) throw new Error(`Curve not found: ${sourceMnemonic}`);
 
   const src = las.curves[srcIdx];
+  const dstIdx = findCurveIdx(las, outMnemonic);
+  const partial = top != null || base != null;
 
-  let dstIdx = findCurveIdx(las, outMnemonic);
+  let dstData = filterCurveInterval(las, sourceMnemonic, filter, params, { top, base });
+  if (partial && dstIdx !== -1) dstData = mergeInterval(las, dstData, las.curves[dstIdx].data || [], top, base);
+  const description = `${describeCurveFilter(filter, params, depthUnitLabel(lasDepthUnit(las)))} of ${src.mnemonic}` +
+    (partial ? ` over ${formatInterval(top, base)}` : "");
 
-  const srcData = src.data || [];
-  const dstData = new Array(srcData.length);
+  writeCurve(las, src, dstIdx, outMnemonic, dstData, { unit: src.unit || "", layout: src.layout, description, partial });
+}
 
-  for (let i = 0; i < srcData.length; i++) {
-    const v = srcData[i];
-    if (v == null || !Number.isFinite(v)) {
-      dstData[i] = null;
-      continue;
-    }
-    dstData[i] = applyOp(v, op, k);
-  }
+/**
+ * The filtered source curve; outside { top, base } it keeps the source values.
+ */
+export function filterCurveInterval(las, sourceMnemonic, filter, params, { top = null, base = null } = {}) {
+  const data = applyCurveFilter(las, sourceMnemonic, filter, params);
+  if (top == null && base == null) return data;
+  return mergeInterval(las, data, las.curves[findCurveIdx(las, sourceMnemonic)].data || [], top, base);
+}
 
+function writeCurve(las, src, dstIdx, outMnemonic, dstData, { unit, layout, description, partial }) {
   if (dstIdx === -1) {
     las.curves.push({
       mnemonic: outMnemonic,
-      unit: src.unit || "",
+      unit,
       api: src.api || "",
       code: src.code || "",
-      description: `Derived from ${src.mnemonic} by ${op}${k}`,
+      description,
       rawLine: "",
       data: dstData,
+      layout, // written with the source's column width and decimals
     });
-    dstIdx = las.curves.length - 1;
-  } else {
+  } else if (partial) {
+    // A correction of part of the curve: the curve keeps its description, and untouched
+    // samples keep their source text.
     las.curves[dstIdx].data = dstData;
-    las.curves[dstIdx].unit = las.curves[dstIdx].unit || (src.unit || "");
-    las.curves[dstIdx].description = `Derived from ${src.mnemonic} by ${op}${k}`;
-  }
-
-  ensureRowsFromCurves(las);
-
-  const rows = las.data.rows;
-  for (let r = 0; r < rows.length; r++) {
-    rows[r][dstIdx] = (r < dstData.length ? dstData[r] : null);
+  } else {
+    const dst = las.curves[dstIdx];
+    dst.data = dstData;
+    dst.unit = dst.unit || unit;
+    dst.description = description;
+    // Recomputed values no longer have source text.
+    delete dst.decimals;
+    delete dst.widths;
+    delete dst.tokens;
   }
 }
 
-export function createPetroCurve(las) {
+// log: also log the run in the audit trail, unless the last run had the same inputs. Only
+// undoable runs (and the first one on a new file) log, so undo removes their EDIT line.
+export function createPetroCurve(las, aliases = CURVE_ALIASES, zones = [], { log = false } = {}) {
     console.log("editing petro curve")
-    const densityMnemonic = (document.getElementById("densitySelector").value || "").trim();
-    const dIdx = findCurveIdx(las, densityMnemonic);
-    if (dIdx === -1) throw new Error(`Curve not found: ${densityMnemonic}`);
-
-    const resistivityMnemonic = (document.getElementById("resistivitySelector").value || "").trim();
-    const rIdx = findCurveIdx(las, resistivityMnemonic)
-    if(rIdx === -1) throw new Error(`Curve not found: ${resistivityMnemonic}`)
-
-    const dSrc = las.curves[dIdx];
-    const rSrc = las.curves[rIdx]
-
-    let dphiIdx = findCurveIdx(las, "DPHIX");
-    let swIdx = findCurveIdx(las, "SWARCH");
-
-    const pma = parseFloat(document.getElementById("pmaInput").value)
-    const pf = parseFloat(document.getElementById("pfInput").value)
-    const n = parseFloat(document.getElementById("nInput").value)
-    const m = parseFloat(document.getElementById("mInput").value)
-    const rw = parseFloat(document.getElementById("rwInput").value)
-    const cutoff = parseFloat(document.getElementById("dphiCutoffInput").value)
-
-
-    const dData = dSrc.data || [];
-    const rData = rSrc.data || [];
-    const dphiData = new Array(dData.length);
-    const swData = new Array(dData.length);
-
-    for (let i = 0; i < dData.length; i++) {
-        const v = dData[i];
-        if (v == null || !Number.isFinite(v)) {
-            dphiData[i] = null;
-            continue;
-        }
-        //dstData[i] = Math.max(100*(pma-v)/(pma-pf),cutoff)
-        dphiData[i] = 100*(pma-v)/(pma-pf)
-        swData[i] = 100*(rw / ( (dphiData[i]/100)**m * rData[i])) ** (1/n)
-        if(dphiData[i] < cutoff) swData[i] = null
-        
-    }
-
-    if (dphiIdx === -1) {
-        las.curves.push({
-        mnemonic: "DPHIX",
-        unit: "%",
-        api: dSrc.api || "",
-        code: dSrc.code || "",
-        description: `Porosity from bulk density`,
-        rawLine: "",
-        data: dphiData,
-        });
-        dphiIdx = las.curves.length - 1;
-    } else {
-        las.curves[dphiIdx].data = dphiData;
-    }
-
-    ensureRowsFromCurves(las);
-
-    const rows = las.data.rows;
-    for (let r = 0; r < rows.length; r++) {
-        rows[r][dphiIdx] = (r < dphiData.length ? dphiData[r] : null);
-    }
-
-    if (swIdx === -1) {
-        las.curves.push({
-        mnemonic: "SWARCH",
-        unit: "%",
-        api: dSrc.api || "",
-        code: dSrc.code || "",
-        description: `Water saturation`,
-        rawLine: "",
-        data: swData,
-        });
-        swIdx = las.curves.length - 1;
-    } else {
-        las.curves[swIdx].data = swData;
-    }
-
-    ensureRowsFromCurves(las);
+    const params = { ...readPetroParams(), zones }
+    const computed = computePetroCurves(las, { ...params, aliases })
+    showGammaEndpoints(las, params)
+    const details = describePetroRun(params)
+    const last = (las.audit || []).findLast(e => e.action === "Petrophysics")
+    if (log && details && last?.details !== details) logEdit(las, "Petrophysics", details)
+    return computed
+}
 
-    for (let r = 0; r < rows.length; r++) {
-        rows[r][swIdx] = (r < swData.length ? swData[r] : null);
+// The Petrophysics panel's inputs as computePetroCurves parameters.
+function readPetroParams() {
+    const value = (id) => parseFloat(document.getElementById(id).value)
+    // Blank GR clean / shale: the gamma curve's percentiles (petrophysics.js).
+    const optional = (id) => (document.getElementById(id).value.trim() === "" ? null : value(id))
+    return {
+        densityMnemonic: document.getElementById("densitySelector").value,
+        resistivityMnemonic: document.getElementById("resistivitySelector").value,
+        gammaMnemonic: document.getElementById("gammaSelector").value,
+        neutronMnemonic: document.getElementById("neutronSelector").value,
+        sonicMnemonic: document.getElementById("sonicSelector").value,
+        pma: value("pmaInput"),
+        pf: value("pfInput"),
+        rw: value("rwInput"),
+        n: value("nInput"),
+        m: value("mInput"),
+        cutoff: value("dphiCutoffInput"),
+        vshMethod: document.getElementById("vshMethodSelector").value || "linear",
+        grClean: optional("grCleanInput"),
+        grShale: optional("grShaleInput"),
+        porosityModel: document.getElementById("porosityModelSelector").value || "density",
+        dtma: value("dtmaInput"),
+        dtf: value("dtfInput"),
+        shaleCorrection: document.getElementById("shaleCorrectionInput").checked,
+        swModel: document.getElementById("swModelSelector").value || "archie",
+        a: value("aInput"),
+        // Before the first run the selector is empty: VSH is the computed curve.
+        vshMnemonic: document.getElementById("vshSourceSelector").value || "VSH",
+        rsh: value("rshInput"),
+        rwb: value("rwbInput"),
+        phiSh: value("phiShInput"),
     }
+}
 
-    
+// The GR clean / shale in use, as placeholders of the (blank) inputs.
+function showGammaEndpoints(las, { gammaMnemonic, grClean, grShale }) {
+  const cleanInput = document.getElementById("grCleanInput")
+  const shaleInput = document.getElementById("grShaleInput")
+  let ends = {}
+  try {
+    if (gammaMnemonic) ends = gammaEndpoints(las, gammaMnemonic, { grClean, grShale })
+  } catch {
+    ends = {}
+  }
+  const text = (v) => (Number.isFinite(v) ? String(Number(v.toPrecision(4))) : "")
+  cleanInput.placeholder = `P${VSH_PERCENTILES[0]} ${text(ends.grClean)}`.trim()
+  shaleInput.placeholder = `P${VSH_PERCENTILES[1]} ${text(ends.grShale)}`.trim()
+}
 
+function populateSwModelSelector(selectEl) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  for (const [key, spec] of Object.entries(SW_MODELS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = `${spec.label} (${spec.mnemonic})`;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = prev in SW_MODELS ? prev : "archie";
 }
 
+// Numeric curves; VSH pre-selected when there is no previous choice.
+function populateVshSourceSelector(selectEl, las) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  const curves = las.curves.slice(1).filter(c => !Array.isArray(c.data));
+  if (!curves.length) {
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "No Vsh curve";
+    selectEl.appendChild(none);
+  }
+  for (const c of curves) {
+    const opt = document.createElement("option");
+    opt.value = c.mnemonic;
+    opt.textContent = c.unit ? `${c.mnemonic} (${c.unit})` : c.mnemonic;
+    selectEl.appendChild(opt);
+  }
+  const has = (mn) => curves.some(c => c.mnemonic === mn);
+  selectEl.value = has(prev) ? prev : has("VSH") ? "VSH" : (curves[0]?.mnemonic ?? "");
+}
 
+function populatePorosityModelSelector(selectEl) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  for (const [key, spec] of Object.entries(POROSITY_MODELS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = spec.label;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = prev in POROSITY_MODELS ? prev : "density";
+}
 
-function applyOp(v, op, k) {
-  switch (op) {
-    case "+": return v + k;
-    case "-": return v - k;
-    case "*": return v * k;
-    case "/": return v / k;
-    default: throw new Error(`Unsupported op: ${op}`);
+function populateVshMethodSelector(selectEl) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  for (const [key, spec] of Object.entries(VSH_METHODS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = spec.label;
+    selectEl.appendChild(opt);
   }
+  selectEl.value = prev in VSH_METHODS ? prev : "linear";
 }
 
-function ensureRowsFromCurves(las) {
-  const curves = las.curves || [];
-  const nCurves = curves.length;
-  const rowCount = maxLen(curves.map(c => (c.data ? c.data.length : 0)));
+// Computed values where the index lies in [top, base], kept values elsewhere.
+function mergeInterval(las, computed, kept, top, base) {
+  const index = las.curves[0]?.data || [];
+  const lo = top ?? -Infinity;
+  const hi = base ?? Infinity;
+  const out = new Float64Array(computed.length);
+  for (let i = 0; i < computed.length; i++) {
+    const d = index[i];
+    const inside = Number.isFinite(d) && d >= Math.min(lo, hi) && d <= Math.max(lo, hi);
+    const v = kept[i];
+    out[i] = inside ? computed[i] : ((v == null || !Number.isFinite(v)) ? NaN : v);
+  }
+  return out;
+}
 
-  if (!las.data) las.data = { rows: [] };
-  const rows = las.data.rows;
+function formatInterval(top, base) {
+  if (top == null) return `above ${base}`;
+  if (base == null) return `below ${top}`;
+  return `${Math.min(top, base)} - ${Math.max(top, base)}`;
+}
 
-  rows.length = rowCount;
+// Blank bounds are open-ended; both blank is the whole curve.
+function readInterval(topText, baseText) {
+  const bound = (text, name) => {
+    if (String(text).trim() === "") return null;
+    const v = Number(text);
+    if (!Number.isFinite(v)) throw new Error(`Interval ${name} must be a number`);
+    return v;
+  };
+  return { top: bound(topText, "top"), base: bound(baseText, "base") };
+}
 
-  for (let r = 0; r < rowCount; r++) {
-    if (!Array.isArray(rows[r])) rows[r] = new Array(nCurves);
-    const row = rows[r];
+function populateFilterSelector(selectEl) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "No filter";
+  selectEl.appendChild(none);
+  for (const [key, spec] of Object.entries(CURVE_FILTERS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = spec.label;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = prev in CURVE_FILTERS ? prev : "";
+}
 
-    if (row.length !== nCurves) row.length = nCurves;
+// Tops as options valued by depth, shallowest first; disabled when there are none.
+export function populateTopsSelector(selectEl, topsData, placeholder) {
+  selectEl.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = placeholder;
+  selectEl.appendChild(none);
 
-    for (let c = 0; c < nCurves; c++) {
-      if (row[c] === undefined) {
-        row[c] = curves[c].data?.[r] ?? null;
-      }
-    }
+  const tops = (topsData?.tops || []).filter(t => Number.isFinite(t.topD)).sort((a, b) => a.topD - b.topD);
+  for (const top of tops) {
+    const opt = document.createElement("option");
+    opt.value = String(top.topD);
+    opt.textContent = `${top.label} (${roundDepth(top.topD)})`;
+    selectEl.appendChild(opt);
   }
+  selectEl.disabled = !tops.length;
 }
 
-function maxLen(arr) {
-  let m = 0;
-  for (const x of arr) if (x > m) m = x;
-  return m;
+function roundDepth(v) {
+  return String(Number(v.toFixed(3)));
 }
 
 function findCurveIdx(las, mnemonic) {
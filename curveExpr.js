@@ -0,0 +1,327 @@
+// curveExpr.js
+// Expression language of the curve editor: formulas over the loaded curves, evaluated
+// sample by sample into a new curve. DOM-free.
+//
+//   (RHOB - 2650) / (1000 - 2650)      log10(RT)        min(GR, 150)
+//   if(CALI > 250, null, GR)           NPHI - 0.04      [GR-1] * 2
+//
+// - curves are referenced by mnemonic (case-insensitive); [ ... ] quotes any other mnemonic
+// - operators: + - * / % ^, comparisons < <= > >= == != (1 or 0), and / && , or / || , not / !
+// - functions: see FUNCTIONS; if(cond, a, b), isnull(x) and ifnull(x, y) handle nulls
+// - null (NaN) propagates: any operation on a null gives null, except isnull / ifnull and
+//   the branch if() does not take; results that are not finite (1/0, log10(0)) are null
+//
+// parseCurveExpr(text) checks the syntax; evaluateCurveExpr(expr, las) resolves the curves
+// and returns a Float64Array.
+
+const FUNCTIONS = {
+  abs: { args: [1, 1], fn: Math.abs },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  exp: { args: [1, 1], fn: Math.exp },
+  ln: { args: [1, 1], fn: Math.log },
+  log: { args: [1, 1], fn: Math.log },
+  log10: { args: [1, 1], fn: Math.log10 },
+  floor: { args: [1, 1], fn: Math.floor },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  round: { args: [1, 2], fn: (x, d = 0) => Math.round(x * 10 ** d) / 10 ** d },
+  sin: { args: [1, 1], fn: Math.sin },
+  cos: { args: [1, 1], fn: Math.cos },
+  tan: { args: [1, 1], fn: Math.tan },
+  pow: { args: [2, 2], fn: Math.pow },
+  min: { args: [1, Infinity], fn: Math.min },
+  max: { args: [1, Infinity], fn: Math.max },
+  clamp: { args: [3, 3], fn: (x, lo, hi) => Math.min(Math.max(x, lo), hi) },
+};
+
+// Functions that see nulls instead of propagating them.
+const NULL_AWARE = {
+  if: 3,
+  isnull: 1,
+  ifnull: 2,
+};
+
+const WORD_OPERATORS = { and: "&&", or: "||", not: "!" };
+
+/**
+ * Parse an expression. Returns { text, ast, refs } where refs lists the referenced
+ * mnemonics as written. Throws on a syntax error.
+ */
+export function parseCurveExpr(text) {
+  const tokens = tokenize(String(text ?? ""));
+  let pos = 0;
+  const refs = [];
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const fail = (msg, tok = peek()) => {
+    throw new Error(`Expression error at column ${tok.col}: ${msg}`);
+  };
+  const accept = (type, value) => {
+    const t = peek();
+    if (t.type === type && (value === undefined || t.value === value)) {
+      pos++;
+      return t;
+    }
+    return null;
+  };
+  const expect = (type, value, what) => accept(type, value) || fail(`expected ${what}`);
+
+  const binaryLevel = (ops, nextLevel) => () => {
+    let left = nextLevel();
+    for (let t = peek(); t.type === "op" && ops.includes(t.value); t = peek()) {
+      next();
+      left = { kind: "binary", op: t.value, left, right: nextLevel() };
+    }
+    return left;
+  };
+
+  const parseOr = () => binaryLevel(["||"], parseAnd)();
+  const parseAnd = () => binaryLevel(["&&"], parseCompare)();
+  const parseCompare = () => binaryLevel(["<", "<=", ">", ">=", "==", "!="], parseAdd)();
+  const parseAdd = () => binaryLevel(["+", "-"], parseMul)();
+  const parseMul = () => binaryLevel(["*", "/", "%"], parseUnary)();
+
+  function parseUnary() {
+    const t = peek();
+    if (t.type === "op" && (t.value === "-" || t.value === "+" || t.value === "!")) {
+      next();
+      return { kind: "unary", op: t.value, arg: parseUnary() };
+    }
+    return parsePower();
+  }
+
+  // ^ binds tighter than unary minus (-2^2 = -4) and is right-associative.
+  function parsePower() {
+    const base = parsePrimary();
+    if (accept("op", "^")) return { kind: "binary", op: "^", left: base, right: parseUnary() };
+    return base;
+  }
+
+  function parsePrimary() {
+    const t = next();
+    if (t.type === "num") return { kind: "num", value: t.value };
+    if (t.type === "ref") {
+      refs.push(t.value);
+      return { kind: "ref", name: t.value };
+    }
+    if (t.type === "(") {
+      const inner = parseOr();
+      expect(")", undefined, '")"');
+      return inner;
+    }
+    if (t.type === "name") {
+      const lower = t.value.toLowerCase();
+      if (peek().type === "(") return parseCall(t, lower);
+      if (lower === "null") return { kind: "num", value: NaN };
+      refs.push(t.value);
+      return { kind: "ref", name: t.value };
+    }
+    return fail(t.type === "end" ? "unexpected end of expression" : `unexpected "${t.text}"`, t);
+  }
+
+  function parseCall(nameTok, name) {
+    const spec = FUNCTIONS[name];
+    const arity = NULL_AWARE[name];
+    if (!spec && arity === undefined) fail(`unknown function ${nameTok.value}()`, nameTok);
+
+    next(); // (
+    const args = [];
+    if (!accept(")")) {
+      do args.push(parseOr()); while (accept(","));
+      expect(")", undefined, '")" or ","');
+    }
+
+    const [lo, hi] = spec ? spec.args : [arity, arity];
+    if (args.length < lo || args.length > hi) {
+      const expected = lo === hi ? `${lo}` : (hi === Infinity ? `at least ${lo}` : `${lo} to ${hi}`);
+      fail(`${name}() takes ${expected} argument(s), got ${args.length}`, nameTok);
+    }
+    return { kind: "call", name, args };
+  }
+
+  const ast = parseOr();
+  if (peek().type !== "end") fail(`unexpected "${peek().text}"`);
+  return { text: String(text).trim(), ast, refs };
+}
+
+/**
+ * Evaluate a parsed expression (or expression text) over las.curves.
+ * Returns a Float64Array with one value per row (NaN for null).
+ */
+export function evaluateCurveExpr(expr, las) {
+  if (typeof expr === "string") expr = parseCurveExpr(expr);
+
+  const curves = las.curves || [];
+  const length = curves[0]?.data?.length ?? 0;
+  const columns = new Map();
+  for (const name of expr.refs) {
+    const up = name.toUpperCase();
+    if (columns.has(up)) continue;
+    const c = curves.find(c => c.mnemonic.toUpperCase() === up);
+    if (!c) throw new Error(`Unknown curve: ${name}`);
+    if (Array.isArray(c.data) && c.data.some(v => typeof v === "string")) throw new Error(`${c.mnemonic} is a text curve`);
+    columns.set(up, c.data || []);
+  }
+
+  const row = compile(expr.ast, columns);
+  const out = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const v = row(i);
+    out[i] = Number.isFinite(v) ? v : NaN;
+  }
+  return out;
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// AST -> (row) => number, NaN for null.
+function compile(node, columns) {
+  switch (node.kind) {
+    case "num": {
+      const v = node.value;
+      return () => v;
+    }
+    case "ref": {
+      const data = columns.get(node.name.toUpperCase());
+      return (i) => {
+        const v = data[i];
+        return (v == null || !Number.isFinite(v)) ? NaN : v;
+      };
+    }
+    case "unary": {
+      const arg = compile(node.arg, columns);
+      if (node.op === "-") return (i) => -arg(i);
+      if (node.op === "+") return arg;
+      return (i) => {
+        const v = arg(i);
+        return Number.isNaN(v) ? NaN : (v ? 0 : 1);
+      };
+    }
+    case "binary":
+      return compileBinary(node.op, compile(node.left, columns), compile(node.right, columns));
+    case "call":
+      return compileCall(node, node.args.map(a => compile(a, columns)));
+    default:
+      throw new Error(`Unsupported expression node: ${node.kind}`);
+  }
+}
+
+function compileBinary(op, a, b) {
+  // NaN already propagates through + - * /; the rest need an explicit null check.
+  const nullSafe = (fn) => (i) => {
+    const x = a(i);
+    const y = b(i);
+    return (Number.isNaN(x) || Number.isNaN(y)) ? NaN : fn(x, y);
+  };
+  switch (op) {
+    case "+": return (i) => a(i) + b(i);
+    case "-": return (i) => a(i) - b(i);
+    case "*": return (i) => a(i) * b(i);
+    case "/": return (i) => a(i) / b(i);
+    case "%": return (i) => a(i) % b(i);
+    case "^": return nullSafe((x, y) => x ** y);
+    case "<": return nullSafe((x, y) => (x < y ? 1 : 0));
+    case "<=": return nullSafe((x, y) => (x <= y ? 1 : 0));
+    case ">": return nullSafe((x, y) => (x > y ? 1 : 0));
+    case ">=": return nullSafe((x, y) => (x >= y ? 1 : 0));
+    case "==": return nullSafe((x, y) => (x === y ? 1 : 0));
+    case "!=": return nullSafe((x, y) => (x !== y ? 1 : 0));
+    case "&&": return nullSafe((x, y) => (x && y ? 1 : 0));
+    case "||": return nullSafe((x, y) => (x || y ? 1 : 0));
+    default: throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+function compileCall(node, args) {
+  switch (node.name) {
+    case "if": {
+      const [cond, then, otherwise] = args;
+      return (i) => {
+        const c = cond(i);
+        if (Number.isNaN(c)) return NaN;
+        return c ? then(i) : otherwise(i);
+      };
+    }
+    case "isnull": {
+      const [x] = args;
+      return (i) => (Number.isNaN(x(i)) ? 1 : 0);
+    }
+    case "ifnull": {
+      const [x, fallback] = args;
+      return (i) => {
+        const v = x(i);
+        return Number.isNaN(v) ? fallback(i) : v;
+      };
+    }
+  }
+
+  const { fn } = FUNCTIONS[node.name];
+  if (args.length === 1) {
+    const [x] = args;
+    return (i) => {
+      const v = x(i);
+      return Number.isNaN(v) ? NaN : fn(v);
+    };
+  }
+  return (i) => {
+    const values = args.map(arg => arg(i));
+    return values.some(Number.isNaN) ? NaN : fn(...values);
+  };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const col = i + 1;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const num = text.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+    if (num) {
+      tokens.push({ type: "num", value: Number(num[0]), text: num[0], col });
+      i += num[0].length;
+      continue;
+    }
+
+    const name = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_:]*/);
+    if (name) {
+      const op = WORD_OPERATORS[name[0].toLowerCase()];
+      tokens.push(op ? { type: "op", value: op, text: name[0], col } : { type: "name", value: name[0], text: name[0], col });
+      i += name[0].length;
+      continue;
+    }
+
+    if (ch === "[") {
+      const end = text.indexOf("]", i + 1);
+      if (end === -1) throw new Error(`Expression error at column ${col}: missing "]"`);
+      const value = text.slice(i + 1, end).trim();
+      if (!value) throw new Error(`Expression error at column ${col}: empty curve name`);
+      tokens.push({ type: "ref", value, text: text.slice(i, end + 1), col });
+      i = end + 1;
+      continue;
+    }
+
+    const op = text.slice(i).match(/^(?:<=|>=|==|!=|&&|\|\||[-+*/%^<>!])/);
+    if (op) {
+      tokens.push({ type: "op", value: op[0], text: op[0], col });
+      i += op[0].length;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch, value: ch, text: ch, col });
+      i++;
+      continue;
+    }
+
+    if (ch === "=") throw new Error(`Expression error at column ${col}: use "==" to compare`);
+    throw new Error(`Expression error at column ${col}: unexpected "${ch}"`);
+  }
+  tokens.push({ type: "end", text: "", col: text.length + 1 });
+  return tokens;
+}
@@ -0,0 +1,200 @@
+// curveFilters.js
+// Signal-processing filters for log curves, applied sample by sample along the index. DOM-free.
+//
+// - average / median: moving mean or median over a window
+// - gaussian: Gaussian-weighted mean, sigma = window / 6 (the window spans ±3 sigma)
+// - despikeZ / despikeMad: a sample further than threshold from its window (z-score against
+//   the mean and standard deviation of the other samples in the window, or robust z-score
+//   against the window median and MAD) is replaced with the window median
+// - fillGaps: linear interpolation (by depth) across runs of NULLs no longer than the window
+//
+// Windows are depth lengths, converted to an odd number of samples with the index step
+// (resample.js indexSampling). NULLs are skipped within a window and stay NULL in the
+// output: only fillGaps fills them.
+
+import { indexSampling } from "./resample.js";
+
+export const CURVE_FILTERS = {
+  average: { label: "Moving average", suffix: "AVG", windowLabel: "Window" },
+  median: { label: "Median", suffix: "MED", windowLabel: "Window" },
+  gaussian: { label: "Gaussian", suffix: "GAUS", windowLabel: "Window" },
+  despikeZ: { label: "Despike (z-score)", suffix: "DSPK", windowLabel: "Window", threshold: 3 },
+  despikeMad: { label: "Despike (MAD)", suffix: "DSPK", windowLabel: "Window", threshold: 3.5 },
+  fillGaps: { label: "Fill gaps", suffix: "FILL", windowLabel: "Max gap" },
+};
+
+// Normal-consistent scales of the median and mean absolute deviation.
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+/**
+ * The curve run through filter with { window, threshold }. Returns a Float64Array.
+ */
+export function applyCurveFilter(las, mnemonic, filter, { window, threshold } = {}) {
+  const spec = CURVE_FILTERS[filter];
+  if (!spec) throw new Error(`Unknown filter: ${filter}`);
+
+  const up = String(mnemonic || "").toUpperCase();
+  const curve = las.curves.find(c => c.mnemonic.toUpperCase() === up);
+  if (!curve) throw new Error(`Curve not found: ${mnemonic}`);
+  if (Array.isArray(curve.data)) throw new Error(`${curve.mnemonic} is not a numeric curve`);
+
+  window = Number(window);
+  if (!Number.isFinite(window) || window <= 0) throw new Error(`${spec.windowLabel} must be a positive depth length.`);
+  const sampling = indexSampling(las);
+  if (!sampling || !(sampling.step > 0)) throw new Error("The depth index has no regular step to filter on.");
+
+  const data = curve.data;
+  if (filter === "fillGaps") return fillGaps(data, las.curves[0].data, window, sampling.step);
+
+  // Half-width in samples: a window of one step or less leaves the curve as it is.
+  const half = Math.max(0, Math.round(window / sampling.step / 2));
+  switch (filter) {
+    case "average": return movingAverage(data, half);
+    case "median": return movingMedian(data, half);
+    case "gaussian": return gaussian(data, half, Math.max(window / sampling.step / 6, 1e-9));
+    default: {
+      threshold = threshold == null || threshold === "" ? spec.threshold : Number(threshold);
+      if (!Number.isFinite(threshold) || threshold <= 0) throw new Error("Threshold must be a positive number.");
+      return despike(data, half, threshold, filter === "despikeMad");
+    }
+  }
+}
+
+/**
+ * Short text for descriptions and ~O notes: "Median 1.5 m", "Despike (MAD) 2 m, threshold 3.5".
+ */
+export function describeCurveFilter(filter, { window, threshold } = {}, unitLabel = "") {
+  const spec = CURVE_FILTERS[filter];
+  if (!spec) return filter;
+  const parts = [`${spec.label} ${Number(window)}${unitLabel ? ` ${unitLabel}` : ""}`];
+  if (spec.threshold) parts.push(`threshold ${threshold == null || threshold === "" ? spec.threshold : Number(threshold)}`);
+  return parts.join(", ");
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function movingAverage(data, half) {
+  const n = data.length;
+  const out = new Float64Array(n);
+  let sum = 0;
+  let count = 0;
+  // Running sum over [i - half, i + half].
+  for (let i = 0; i < Math.min(half, n); i++) {
+    if (Number.isFinite(data[i])) {
+      sum += data[i];
+      count++;
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    const add = i + half;
+    if (add < n && Number.isFinite(data[add])) {
+      sum += data[add];
+      count++;
+    }
+    const drop = i - half - 1;
+    if (drop >= 0 && Number.isFinite(data[drop])) {
+      sum -= data[drop];
+      count--;
+    }
+    out[i] = Number.isFinite(data[i]) && count ? sum / count : NaN;
+  }
+  return out;
+}
+
+function movingMedian(data, half) {
+  const out = new Float64Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    out[i] = Number.isFinite(data[i]) ? median(windowValues(data, i, half)) : NaN;
+  }
+  return out;
+}
+
+function gaussian(data, half, sigma) {
+  const weights = Array.from({ length: half + 1 }, (_, k) => Math.exp(-0.5 * (k / sigma) ** 2));
+  const out = new Float64Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    if (!Number.isFinite(data[i])) {
+      out[i] = NaN;
+      continue;
+    }
+    let sum = 0;
+    let wsum = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(data.length - 1, i + half); j++) {
+      if (!Number.isFinite(data[j])) continue;
+      const w = weights[Math.abs(j - i)];
+      sum += w * data[j];
+      wsum += w;
+    }
+    out[i] = sum / wsum;
+  }
+  return out;
+}
+
+function despike(data, half, threshold, robust) {
+  const out = Float64Array.from(data, v => (Number.isFinite(v) ? v : NaN));
+  for (let i = 0; i < data.length; i++) {
+    if (!Number.isFinite(data[i])) continue;
+    const values = windowValues(data, i, half);
+    if (values.length < 3) continue;
+
+    const med = median(values);
+    let center;
+    let spread;
+    if (robust) {
+      center = med;
+      const deviations = values.map(v => Math.abs(v - med));
+      spread = MAD_SCALE * median(deviations);
+      // Mostly flat windows have a MAD of 0: use the mean absolute deviation instead.
+      if (spread === 0) spread = MEAN_AD_SCALE * deviations.reduce((a, v) => a + v, 0) / deviations.length;
+    } else {
+      // Leave-one-out: with the sample in, |z| cannot exceed (n - 1) / sqrt(n), so a window
+      // under 11 samples would never pass a threshold of 3.
+      const others = windowValues(data, i, half, true);
+      center = others.reduce((a, v) => a + v, 0) / others.length;
+      spread = Math.sqrt(others.reduce((a, v) => a + (v - center) ** 2, 0) / (others.length - 1));
+      // Flat neighbours: any other value is a spike.
+      if (spread === 0 && data[i] !== center) spread = Number.MIN_VALUE;
+    }
+    if (spread > 0 && Math.abs(data[i] - center) / spread > threshold) out[i] = med;
+  }
+  return out;
+}
+
+// Interpolate runs of NULLs with a value on both sides, when the missing samples cover at
+// most maxGap (one step each).
+function fillGaps(data, index, maxGap, step) {
+  const out = Float64Array.from(data, v => (Number.isFinite(v) ? v : NaN));
+  let last = -1; // last row with a value
+  for (let i = 0; i < data.length; i++) {
+    if (!Number.isFinite(out[i])) continue;
+    if (last !== -1 && i - last > 1) {
+      const z0 = index[last];
+      const z1 = index[i];
+      const gap = (i - last - 1) * step;
+      if (Number.isFinite(z0) && Number.isFinite(z1) && z1 !== z0 && gap <= maxGap + 1e-9) {
+        for (let j = last + 1; j < i; j++) {
+          const w = (index[j] - z0) / (z1 - z0);
+          out[j] = Number.isFinite(w) ? out[last] + w * (out[i] - out[last]) : NaN;
+        }
+      }
+    }
+    last = i;
+  }
+  return out;
+}
+
+function windowValues(data, i, half, skipCenter = false) {
+  const values = [];
+  for (let j = Math.max(0, i - half); j <= Math.min(data.length - 1, i + half); j++) {
+    if (skipCenter && j === i) continue;
+    if (Number.isFinite(data[j])) values.push(data[j]);
+  }
+  return values;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
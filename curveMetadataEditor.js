@@ -0,0 +1,195 @@
+// curveMetadataEditor.js
+// Modal editor for the ~C definitions of the active data set (las.curves):
+// - unit, API code and description of every curve; the index curve keeps its unit (the
+//   depth unit is changed with the depth unit selector)
+// - bulk edit: the values above the table are copied into every ticked row
+// Changes are applied on "Apply" only. An unchanged curve keeps its original ~C line; an
+// edited one is written by formatCurveLine. Units drive curve-family detection
+// (curveAliases.js), so onChange should redraw the tracks and selectors.
+
+import { recordEdit } from "./editHistory.js";
+import { logEdit } from "./lasio.js";
+
+export function bindCurveMetadataEditor({
+  lasGetter = () => window.las,
+  openBtnId = "curveMetaButton",
+  modalId = "curveMetaModal",
+  bodyId = "curveMetaBody",
+  selectAllId = "curveMetaSelectAll",
+  bulkUnitId = "curveMetaBulkUnit",
+  bulkApiId = "curveMetaBulkApi",
+  bulkDescId = "curveMetaBulkDesc",
+  bulkFillBtnId = "curveMetaBulkFill",
+  applyBtnId = "curveMetaApply",
+  cancelBtnId = "curveMetaCancel",
+  onChange = () => {},
+  history = null, // editHistory.js
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const tbody = mustEl(bodyId);
+  const selectAll = mustEl(selectAllId);
+  const bulkUnit = mustEl(bulkUnitId);
+  const bulkApi = mustEl(bulkApiId);
+  const bulkDesc = mustEl(bulkDescId);
+  const bulkFillBtn = mustEl(bulkFillBtnId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  function openModal() {
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    rebuildRows(las, tbody);
+    selectAll.checked = false;
+    bulkUnit.value = "";
+    bulkApi.value = "";
+    bulkDesc.value = "";
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  selectAll.addEventListener("change", () => {
+    for (const cb of tbody.querySelectorAll('input[type="checkbox"]')) cb.checked = selectAll.checked;
+  });
+
+  // Blank bulk fields leave that column alone.
+  bulkFillBtn.addEventListener("click", () => {
+    const fills = [["unit", bulkUnit.value.trim()], ["api", bulkApi.value.trim()], ["desc", bulkDesc.value.trim()]]
+      .filter(([, value]) => value);
+    for (const tr of tbody.querySelectorAll("tr")) {
+      if (!tr.querySelector('input[type="checkbox"]')?.checked) continue;
+      for (const [field, value] of fills) {
+        const input = tr.querySelector(`input[data-field="${field}"]`);
+        if (input && !input.disabled) input.value = value;
+      }
+    }
+  });
+
+  applyBtn.addEventListener("click", () => {
+    const las = lasGetter();
+    if (!las) return;
+
+    let rows;
+    try {
+      rows = readRows(tbody);
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+
+    const changed = rows.filter(r => {
+      const c = las.curves[r.index];
+      return c && (r.unit !== (c.unit ?? "") || r.api !== apiCode(c) || r.desc !== (c.description ?? ""));
+    });
+    if (changed.length) {
+      recordEdit(history, `Edit curve metadata (${changed.map(r => las.curves[r.index].mnemonic).join(", ")})`, () => {
+        for (const r of changed) {
+          const c = las.curves[r.index];
+          logEdit(las, "Curve metadata", `${c.mnemonic}: unit "${r.unit}", API "${r.api}", description "${r.desc}"`);
+          setCurveMetadata(c, r);
+        }
+      });
+    }
+
+    closeModal();
+    if (changed.length) onChange(las);
+  });
+
+  return {
+    open: openModal,
+    destroy() {},
+  };
+}
+
+/**
+ * Set a curve's unit, API code and description. The API code is kept in curve.api
+ * (curve.code is cleared) unless it is unchanged.
+ */
+export function setCurveMetadata(curve, { unit, api, desc }) {
+  if (unit != null) curve.unit = unit;
+  if (api != null && api !== apiCode(curve)) {
+    curve.api = api;
+    curve.code = "";
+  }
+  if (desc != null) curve.description = desc;
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// LAS 2.0 reads "07 310 01 00" as api "07" and code "310 01 00"; the editor shows one field.
+function apiCode(curve) {
+  return [curve.api, curve.code].filter(Boolean).join(" ");
+}
+
+function rebuildRows(las, tbody) {
+  tbody.innerHTML = "";
+
+  las.curves.forEach((c, index) => {
+    const tr = document.createElement("tr");
+    tr.dataset.index = String(index);
+
+    const pick = document.createElement("td");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    pick.appendChild(cb);
+    tr.appendChild(pick);
+
+    const mnemonicCell = document.createElement("td");
+    mnemonicCell.textContent = c.mnemonic;
+    tr.appendChild(mnemonicCell);
+
+    for (const [field, value] of [["unit", c.unit ?? ""], ["api", apiCode(c)], ["desc", c.description ?? ""]]) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.dataset.field = field;
+      input.value = value;
+      // The index unit is the depth unit.
+      if (index === 0 && field === "unit") {
+        input.disabled = true;
+        input.title = "Change the depth unit with the depth unit selector";
+      }
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+
+    tbody.appendChild(tr);
+  });
+}
+
+function readRows(tbody) {
+  const out = [];
+  for (const tr of tbody.querySelectorAll("tr")) {
+    const get = (field) => tr.querySelector(`input[data-field="${field}"]`)?.value.trim() ?? "";
+    const mnemonic = tr.children[1]?.textContent ?? "";
+    const unit = get("unit");
+    const api = get("api");
+
+    // A ~C line is MNEM.UNIT API : DESCRIPTION, so the unit ends at the first space.
+    if (/[\s:]/.test(unit)) throw new Error(`Unit of ${mnemonic} cannot contain spaces or ":"`);
+    if (api.includes(":")) throw new Error(`API code of ${mnemonic} cannot contain ":"`);
+
+    out.push({ index: Number(tr.dataset.index), unit, api, desc: get("desc") });
+  }
+  return out;
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
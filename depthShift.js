@@ -0,0 +1,433 @@
+// depthShift.js
+// Depth shifting of a curve against the depth index, written out as a new curve:
+// - constant shift: shiftCurve(las, mnemonic, shift)
+// - piecewise shift from tie points [{ curve, reference }]: shiftCurveByTies(las, mnemonic, ties);
+//   the shift is interpolated between ties and held constant beyond the first / last one
+// - automatic depth match: matchDepth(las, mnemonic, referenceMnemonic, { top, base, maxShift })
+//   cross-correlates the curve against the reference and returns the best constant shift
+// - bindDepthShift() wires the Depth Shift modal of the Curves panel
+//
+// A positive shift moves the curve deeper: the shifted value at depth z is the source value
+// at z - shift (linear between samples, NULLs not bridged).
+
+import { indexSampling, uniformDepths, sampleColumns } from "./resample.js";
+import { lasDepthUnit, logEdit, addDerivedCurve } from "./lasio.js";
+import { depthUnitLabel } from "./units.js";
+import { recordEdit } from "./editHistory.js";
+import { isProtected } from "./settings.js";
+
+/**
+ * The curve's values moved down by shift (depth units). Returns a Float64Array.
+ */
+export function shiftCurve(las, mnemonic, shift) {
+  if (!Number.isFinite(shift)) throw new Error("Shift must be a number.");
+  const index = indexData(las);
+  return sampleAt(index, curveData(las, mnemonic), Float64Array.from(index, z => z - shift));
+}
+
+/**
+ * The curve shifted piecewise so each tie's curve depth lands on its reference depth.
+ * Returns a Float64Array.
+ */
+export function shiftCurveByTies(las, mnemonic, ties) {
+  const sorted = (ties || [])
+    .filter(t => Number.isFinite(t.curve) && Number.isFinite(t.reference))
+    .sort((a, b) => a.reference - b.reference);
+  if (!sorted.length) throw new Error("Add at least one tie point.");
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].curve <= sorted[i - 1].curve) throw new Error("Tie points cross: curve depths must increase with reference depths.");
+  }
+
+  const index = indexData(las);
+  const shiftAt = (z) => {
+    if (z <= sorted[0].reference) return sorted[0].reference - sorted[0].curve;
+    const last = sorted[sorted.length - 1];
+    if (z >= last.reference) return last.reference - last.curve;
+    let j = 1;
+    while (sorted[j].reference < z) j++;
+    const a = sorted[j - 1];
+    const b = sorted[j];
+    const w = (z - a.reference) / (b.reference - a.reference);
+    return (a.reference - a.curve) + w * ((b.reference - b.curve) - (a.reference - a.curve));
+  };
+  return sampleAt(index, curveData(las, mnemonic), Float64Array.from(index, z => z - shiftAt(z)));
+}
+
+/**
+ * Best constant shift of the curve against the reference within [top, base] (default: where
+ * both have values), trying every index step up to ±maxShift. The peak is refined between
+ * steps. Returns { shift, correlation, samples } or null when the curves do not overlap.
+ */
+export function matchDepth(las, mnemonic, referenceMnemonic, { top = null, base = null, maxShift = 1 } = {}) {
+  const sampling = indexSampling(las);
+  if (!sampling || !(sampling.step > 0)) throw new Error("The depth index has no regular step to match on.");
+  if (!(maxShift > 0)) throw new Error("Maximum shift must be a positive number.");
+
+  const index = indexData(las);
+  const cur = curveData(las, mnemonic);
+  const ref = curveData(las, referenceMnemonic);
+
+  const range = (data) => {
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+      if (!Number.isFinite(data[i]) || !Number.isFinite(index[i])) continue;
+      lo = Math.min(lo, index[i]);
+      hi = Math.max(hi, index[i]);
+    }
+    return [lo, hi];
+  };
+  const [curTop, curBase] = range(cur);
+  const [refTop, refBase] = range(ref);
+  const zTop = top ?? Math.max(curTop, refTop);
+  const zBase = base ?? Math.min(curBase, refBase);
+  if (!(zBase > zTop)) return null;
+
+  const step = sampling.step;
+  const lags = Math.max(1, Math.round(maxShift / step));
+  const { depths } = uniformDepths(Math.min(zTop, zBase), Math.max(zTop, zBase), step);
+  // The curve once, over the window widened by the largest lag each way.
+  const wide = uniformDepths(depths[0] - lags * step, depths[depths.length - 1] + lags * step, step).depths;
+  const [refGrid] = sampleColumns(index, [ref], depths, { step });
+  const [curWide] = sampleColumns(index, [cur], wide, { step });
+
+  const minPairs = Math.max(5, Math.floor(depths.length / 4));
+  const scores = new Float64Array(2 * lags + 1).fill(NaN);
+  for (let k = -lags; k <= lags; k++) {
+    // shifted(z_i) = cur(z_i - k * step) = curWide[i + lags - k]
+    scores[k + lags] = correlation(refGrid, curWide, lags - k, minPairs);
+  }
+
+  let best = -1;
+  for (let i = 0; i < scores.length; i++) {
+    if (Number.isFinite(scores[i]) && (best === -1 || scores[i] > scores[best])) best = i;
+  }
+  if (best === -1) return null;
+
+  // Parabola through the peak and its neighbours.
+  let offset = 0;
+  const [a, b, c] = [scores[best - 1], scores[best], scores[best + 1]];
+  if (Number.isFinite(a) && Number.isFinite(c) && a - 2 * b + c < 0) {
+    offset = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / (a - 2 * b + c)));
+  }
+  return {
+    shift: Number((((best - lags) + offset) * step).toPrecision(10)),
+    correlation: b,
+    samples: depths.length,
+  };
+}
+
+/**
+ * Wire the Depth Shift modal. Tie points are picked by clicking a feature on the curve's
+ * track, then the same feature on the reference track (tracksGetter().pickDepthPoint).
+ * onChange() runs after a curve was written.
+ */
+export function bindDepthShift({
+  lasGetter = () => window.las,
+  tracksGetter = () => null,
+  openBtnId = "depthShiftButton",
+  modalId = "depthShiftModal",
+  curveSelectId = "shiftCurve",
+  referenceSelectId = "shiftReference",
+  outputInputId = "shiftOutput",
+  constantInputId = "shiftConstant",
+  constantApplyBtnId = "shiftConstantApply",
+  tiesBodyId = "shiftTiesBody",
+  addTieBtnId = "shiftAddTie",
+  pickTiesBtnId = "shiftPickTies",
+  tiesApplyBtnId = "shiftTiesApply",
+  matchTopInputId = "shiftMatchTop",
+  matchBaseInputId = "shiftMatchBase",
+  maxShiftInputId = "shiftMaxShift",
+  matchBtnId = "shiftMatchRun",
+  matchResultId = "shiftMatchResult",
+  closeBtnId = "depthShiftClose",
+  onChange = () => {},
+  history = null, // editHistory.js
+  protectedGetter = () => [], // settings.js: mnemonics the output cannot replace
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const curveSel = mustEl(curveSelectId);
+  const referenceSel = mustEl(referenceSelectId);
+  const outputInput = mustEl(outputInputId);
+  const constantInput = mustEl(constantInputId);
+  const constantApplyBtn = mustEl(constantApplyBtnId);
+  const tiesBody = mustEl(tiesBodyId);
+  const addTieBtn = mustEl(addTieBtnId);
+  const pickTiesBtn = mustEl(pickTiesBtnId);
+  const tiesApplyBtn = mustEl(tiesApplyBtnId);
+  const matchTopInput = mustEl(matchTopInputId);
+  const matchBaseInput = mustEl(matchBaseInputId);
+  const maxShiftInput = mustEl(maxShiftInputId);
+  const matchBtn = mustEl(matchBtnId);
+  const matchResult = mustEl(matchResultId);
+  const closeBtn = mustEl(closeBtnId);
+
+  const openLabel = openBtn.textContent;
+  let ties = [];
+  let picking = false;
+  let pendingCurveDepth = null;
+
+  function openModal() {
+    if (picking) stopPicking();
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    populateCurveOptions(curveSel, las, 1);
+    populateCurveOptions(referenceSel, las, 0);
+    renderTies();
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  function outputName() {
+    const name = outputInput.value.trim().toUpperCase().replace(/\s+/g, "_").replace(/[^A-Z0-9_]/g, "");
+    return name || `${curveSel.value}_DS`;
+  }
+
+  function apply(label, compute) {
+    const las = lasGetter();
+    if (!las || !curveSel.value) return;
+    const out = outputName();
+    if (out.toUpperCase() === las.curves[0]?.mnemonic.toUpperCase()) {
+      alert(`Cannot overwrite the depth index: ${out}`);
+      return;
+    }
+    if (isProtected(out, protectedGetter())) {
+      alert(`Cannot overwrite protected curve: ${out}`);
+      return;
+    }
+    try {
+      recordEdit(history, `${label} ${curveSel.value} to ${out}`, () => {
+        const { data, description } = compute(las);
+        addDerivedCurve(las, curveSel.value, out, data, description);
+        logEdit(las, "Depth shift", `${out} = ${description}`);
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    closeModal();
+    onChange(out);
+  }
+
+  function unitLabel() {
+    return depthUnitLabel(lasDepthUnit(lasGetter()));
+  }
+
+  // --- tie points
+  function renderTies() {
+    tiesBody.innerHTML = "";
+    ties.forEach((tie, i) => {
+      const tr = document.createElement("tr");
+      for (const field of ["curve", "reference"]) {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "any";
+        input.value = Number.isFinite(tie[field]) ? String(tie[field]) : "";
+        input.addEventListener("change", () => { tie[field] = input.value === "" ? NaN : Number(input.value); });
+        td.appendChild(input);
+        tr.appendChild(td);
+      }
+      const td = document.createElement("td");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "Remove";
+      btn.addEventListener("click", () => {
+        ties.splice(i, 1);
+        renderTies();
+      });
+      td.appendChild(btn);
+      tr.appendChild(td);
+      tiesBody.appendChild(tr);
+    });
+  }
+
+  function pickNext() {
+    const tracks = tracksGetter();
+    if (!tracks?.pickDepthPoint) {
+      stopPicking();
+      return;
+    }
+    tracks.pickDepthPoint((depth) => {
+      const z = Number(depth.toFixed(4));
+      if (pendingCurveDepth == null) {
+        pendingCurveDepth = z;
+      } else {
+        ties.push({ curve: pendingCurveDepth, reference: z });
+        pendingCurveDepth = null;
+      }
+      openBtn.textContent = `Finish tie points (${ties.length})`;
+      pickNext();
+    });
+  }
+
+  function stopPicking() {
+    picking = false;
+    pendingCurveDepth = null;
+    tracksGetter()?.cancelDepthPick?.();
+    openBtn.textContent = openLabel;
+  }
+
+  openBtn.addEventListener("click", openModal);
+  closeBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  addTieBtn.addEventListener("click", () => {
+    ties.push({ curve: NaN, reference: NaN });
+    renderTies();
+  });
+
+  pickTiesBtn.addEventListener("click", () => {
+    if (!tracksGetter()?.pickDepthPoint) return;
+    // Click the feature on the curve's track, then on the reference track; repeat.
+    closeModal();
+    picking = true;
+    openBtn.textContent = `Finish tie points (${ties.length})`;
+    pickNext();
+  });
+
+  constantApplyBtn.addEventListener("click", () => {
+    const shift = Number(constantInput.value);
+    if (constantInput.value.trim() === "" || !Number.isFinite(shift)) {
+      alert("Shift must be a number.");
+      return;
+    }
+    apply("Shift", (las) => ({
+      data: shiftCurve(las, curveSel.value, shift),
+      description: `${curveSel.value} shifted ${formatShift(shift)} ${unitLabel()}`,
+    }));
+  });
+
+  tiesApplyBtn.addEventListener("click", () => {
+    apply("Tie-point shift", (las) => ({
+      data: shiftCurveByTies(las, curveSel.value, ties),
+      description: `${curveSel.value} shifted on ${ties.length} tie point(s)`,
+    }));
+  });
+
+  matchBtn.addEventListener("click", () => {
+    const las = lasGetter();
+    if (!las || !curveSel.value || !referenceSel.value) return;
+    const num = (input) => input.value.trim() === "" ? null : Number(input.value);
+
+    let result;
+    try {
+      result = matchDepth(las, curveSel.value, referenceSel.value, {
+        top: num(matchTopInput),
+        base: num(matchBaseInput),
+        maxShift: num(maxShiftInput) ?? 1,
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    if (!result) {
+      matchResult.textContent = `${curveSel.value} and ${referenceSel.value} do not overlap in the window.`;
+      return;
+    }
+    constantInput.value = String(result.shift);
+    matchResult.textContent =
+      `Best shift ${formatShift(result.shift)} ${unitLabel()} (r = ${result.correlation.toFixed(3)}, ` +
+      `${result.samples} samples). Apply it as a constant shift.`;
+  });
+
+  return {
+    destroy() {
+      if (picking) stopPicking();
+    },
+  };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+function findCurve(las, mnemonic) {
+  const up = String(mnemonic || "").toUpperCase();
+  return las.curves.find(c => c.mnemonic.toUpperCase() === up) || null;
+}
+
+function indexData(las) {
+  const index = las.curves[0];
+  if (!index || Array.isArray(index.data)) throw new Error("The active data set has no numeric depth index.");
+  return index.data;
+}
+
+function curveData(las, mnemonic) {
+  const c = findCurve(las, mnemonic);
+  if (!c) throw new Error(`Curve not found: ${mnemonic}`);
+  if (Array.isArray(c.data)) throw new Error(`${c.mnemonic} is not a numeric curve`);
+  return c.data;
+}
+
+// data sampled at an arbitrary depth per row (sampleColumns wants increasing depths).
+function sampleAt(index, data, targets) {
+  const rows = [];
+  for (let i = 0; i < targets.length; i++) if (Number.isFinite(targets[i])) rows.push(i);
+  rows.sort((a, b) => targets[a] - targets[b]);
+
+  const [sampled] = sampleColumns(index, [data], Float64Array.from(rows, r => targets[r]));
+  const out = new Float64Array(targets.length).fill(NaN);
+  rows.forEach((r, k) => { out[r] = sampled[k]; });
+  return out;
+}
+
+// Pearson correlation of ref[i] against cur[i + offset] over the pairs where both have values.
+function correlation(ref, cur, offset, minPairs) {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let i = 0; i < ref.length; i++) {
+    const x = ref[i];
+    const y = cur[i + offset];
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    n++;
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    syy += y * y;
+    sxy += x * y;
+  }
+  if (n < minPairs) return NaN;
+  const cov = sxy - sx * sy / n;
+  const vx = sxx - sx * sx / n;
+  const vy = syy - sy * sy / n;
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : NaN;
+}
+
+function populateCurveOptions(selectEl, las, defaultIndex) {
+  const prev = selectEl.value;
+  selectEl.innerHTML = "";
+  for (const c of las.curves.slice(1)) {
+    if (Array.isArray(c.data)) continue;
+    const opt = document.createElement("option");
+    opt.value = c.mnemonic;
+    opt.textContent = c.unit ? `${c.mnemonic} (${c.unit})` : c.mnemonic;
+    selectEl.appendChild(opt);
+  }
+  if (prev && [...selectEl.options].some(o => o.value === prev)) selectEl.value = prev;
+  else if (selectEl.options[defaultIndex]) selectEl.selectedIndex = defaultIndex;
+}
+
+function formatShift(v) {
+  return `${v >= 0 ? "+" : ""}${Number(v.toPrecision(6))}`;
+}
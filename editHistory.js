@@ -0,0 +1,229 @@
+// editHistory.js
+// Undo / redo for every edit of the loaded LAS (curve editor, petrophysics, well header,
+// resample, splice, ...).
+//
+// Each edit runs through history.record(label, fn): the LAS is captured before and after
+// fn, and undo / redo put one of the two states back. A state holds the las object itself
+// (splicing swaps it), shallow copies of its curves, header items, data sets, ~O lines,
+// audit trail and zone parameters (zoneParams.js), and the curve shown in each track.
+// Curve data arrays are shared rather than copied, so edits must give a curve a new data
+// array instead of writing into the old one (as applyCurveEdit and the editors do).
+//
+// The history outlives the tracks and editors that startGraph() rebuilds; loading another
+// file should clear() it.
+
+export function createEditHistory({
+  lasGetter = () => window.las,
+  lasSetter = (las) => { window.las = las; },
+  tracksGetter = () => null,
+  onRestore = () => {}, // ({ las, tracks }) after undo / redo: redraw, re-select tracks
+  limit = 100,
+} = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  const listeners = [];
+
+  const notify = () => listeners.forEach(fn => fn());
+
+  function capture() {
+    const las = lasGetter();
+    const tracks = tracksGetter()?.state?.tracks || [];
+    return {
+      las,
+      state: las ? captureLas(las) : null,
+      tracks: tracks.map(t => t.selectedMnemonic || ""),
+    };
+  }
+
+  function restore(snap) {
+    if (snap.las) applyLas(snap.las, snap.state);
+    if (lasGetter() !== snap.las) lasSetter(snap.las);
+    onRestore({ las: snap.las, tracks: snap.tracks.slice() });
+  }
+
+  /**
+   * Run fn as one undoable edit and return its result. When fn throws, the LAS is put
+   * back as it was and the error is rethrown.
+   */
+  function record(label, fn) {
+    const before = capture();
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      if (before.las) applyLas(before.las, before.state);
+      if (lasGetter() !== before.las) lasSetter(before.las);
+      throw err;
+    }
+    undoStack.push({ label, before, after: capture() });
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    notify();
+    return result;
+  }
+
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return null;
+    redoStack.push(entry);
+    restore(entry.before);
+    notify();
+    return entry.label;
+  }
+
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return null;
+    undoStack.push(entry);
+    restore(entry.after);
+    notify();
+    return entry.label;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    undoLabel: () => undoStack.at(-1)?.label ?? null,
+    redoLabel: () => redoStack.at(-1)?.label ?? null,
+    onChange: (fn) => listeners.push(fn),
+  };
+}
+
+/**
+ * history.record(label, fn) when there is a history, else just fn().
+ */
+export function recordEdit(history, label, fn) {
+  return history ? history.record(label, fn) : fn();
+}
+
+/**
+ * Wire the Undo / Redo buttons and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z, Cmd on macOS).
+ * Text fields keep their own undo.
+ */
+export function bindEditHistory(history, {
+  undoBtnId = "undoButton",
+  redoBtnId = "redoButton",
+} = {}) {
+  const undoBtn = mustEl(undoBtnId);
+  const redoBtn = mustEl(redoBtnId);
+
+  function update() {
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    undoBtn.title = history.canUndo() ? `Undo ${history.undoLabel()} (Ctrl+Z)` : "Nothing to undo";
+    redoBtn.title = history.canRedo() ? `Redo ${history.redoLabel()} (Ctrl+Y)` : "Nothing to redo";
+  }
+
+  undoBtn.addEventListener("click", () => history.undo());
+  redoBtn.addEventListener("click", () => history.redo());
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTextField(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      history.undo();
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      history.redo();
+    }
+  });
+
+  history.onChange(update);
+  update();
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+function isTextField(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  return tag === "TEXTAREA" || (tag === "INPUT" && !["checkbox", "radio", "button", "file"].includes(el.type));
+}
+
+// The active set is exposed as las.curves / las.params, which callers may reassign.
+function captureLas(las) {
+  const sets = las.sets || [];
+  return {
+    curves: copyCurves(las.curves),
+    params: copyItems(las.params),
+    well: copyItems(las.well),
+    other: (las.other || []).slice(),
+    audit: (las.audit || []).slice(),
+    zoneParams: las.zoneParams, // replaced, never edited in place
+    activeSet: las.activeSet,
+    depthUnitSpellings: { ...las.meta?.depthUnitSpellings },
+    sets: sets.slice(),
+    setStates: sets.map(s => s.key === las.activeSet ? null : {
+      curves: copyCurves(s.curves),
+      params: copyItems(s.params),
+      rowLines: s.rowLines,
+      rowIssues: s.rowIssues,
+      rowIssueCount: s.rowIssueCount,
+    }),
+    activeRows: sets.find(s => s.key === las.activeSet)
+      ? pickRows(sets.find(s => s.key === las.activeSet))
+      : null,
+  };
+}
+
+// Fresh copies again, so later in-place edits (renames, header items) leave the state intact.
+function applyLas(las, state) {
+  las.curves = copyCurves(state.curves);
+  las.params = copyItems(state.params);
+  las.well = copyItems(state.well);
+  las.other = state.other.slice();
+  las.audit = state.audit.slice();
+  las.zoneParams = state.zoneParams;
+  las.activeSet = state.activeSet;
+  if (las.meta) las.meta.depthUnitSpellings = { ...state.depthUnitSpellings };
+
+  if (las.sets) {
+    las.sets = state.sets.slice();
+    las.sets.forEach((set, i) => {
+      const s = state.setStates[i];
+      if (!s) {
+        Object.assign(set, { curves: las.curves, params: las.params, ...state.activeRows });
+        return;
+      }
+      Object.assign(set, {
+        curves: copyCurves(s.curves),
+        params: copyItems(s.params),
+        rowLines: s.rowLines,
+        rowIssues: s.rowIssues,
+        rowIssueCount: s.rowIssueCount,
+      });
+    });
+  }
+}
+
+function pickRows(set) {
+  return { rowLines: set.rowLines, rowIssues: set.rowIssues, rowIssueCount: set.rowIssueCount };
+}
+
+function copyCurves(curves) {
+  return (curves || []).map(c => ({ ...c }));
+}
+
+function copyItems(items) {
+  return new Map([...(items || new Map())].map(([k, item]) => [k, { ...item }]));
+}
@@ -0,0 +1,324 @@
+// grNormalize.js
+// Gamma-ray normalization: two percentiles of a curve (P5 / P95 by default) over an
+// interval are mapped linearly onto target values, and the whole curve is rescaled with
+// that mapping into a new curve.
+// - normalizeValues / histogram are DOM-free (percentiles: petrophysics.js curvePercentiles)
+// - bindGrNormalize() wires the GR Normalization modal: interval typed or from tops,
+//   targets typed or taken from a reference LAS, before / after histograms (uPlot)
+
+import { readLASFile, logEdit, addDerivedCurve } from "./lasio.js";
+import { isProtected } from "./settings.js";
+import { pickCurve, curvePercentiles } from "./petrophysics.js";
+import { populateTopsSelector } from "./curveEditor.js";
+import { recordEdit } from "./editHistory.js";
+
+/**
+ * Linear rescale mapping from[0] -> to[0] and from[1] -> to[1]. NULLs stay NULL.
+ */
+export function normalizeValues(data, from, to) {
+  const [a, b] = from;
+  const [c, d] = to;
+  if (![a, b, c, d].every(Number.isFinite)) throw new Error("Percentiles and targets must be numbers.");
+  if (a === b) throw new Error("The two percentiles are equal: widen them or the interval.");
+  const scale = (d - c) / (b - a);
+  return Float64Array.from(data, v => (Number.isFinite(v) ? c + (v - a) * scale : NaN));
+}
+
+/**
+ * Counts of values in `bins` equal bins over [min, max]. Returns { edges, counts }.
+ */
+export function histogram(values, { min, max, bins = 50 }) {
+  const edges = Float64Array.from({ length: bins + 1 }, (_, i) => min + (max - min) * i / bins);
+  const counts = new Float64Array(bins);
+  const width = (max - min) / bins;
+  for (const v of values) {
+    if (!Number.isFinite(v) || v < min || v > max) continue;
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  }
+  return { edges, counts };
+}
+
+export function bindGrNormalize({
+  lasGetter = () => window.las,
+  topsGetter = () => window.topsData,
+  openBtnId = "grNormButton",
+  modalId = "grNormModal",
+  curveSelectId = "grNormCurve",
+  outputInputId = "grNormOutput",
+  topInputId = "grNormTop",
+  baseInputId = "grNormBase",
+  topFromSelectId = "grNormTopFrom",
+  topToSelectId = "grNormTopTo",
+  lowPctInputId = "grNormLowPct",
+  highPctInputId = "grNormHighPct",
+  lowTargetInputId = "grNormLowTarget",
+  highTargetInputId = "grNormHighTarget",
+  refFileInputId = "grNormRefFile",
+  summaryId = "grNormSummary",
+  histogramId = "grNormHistogram",
+  applyBtnId = "grNormApply",
+  cancelBtnId = "grNormCancel",
+  onChange = () => {},
+  history = null, // editHistory.js
+  protectedGetter = () => [], // settings.js: mnemonics the output cannot replace
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const curveSel = mustEl(curveSelectId);
+  const outputInput = mustEl(outputInputId);
+  const topInput = mustEl(topInputId);
+  const baseInput = mustEl(baseInputId);
+  const topFromSel = mustEl(topFromSelectId);
+  const topToSel = mustEl(topToSelectId);
+  const lowPctInput = mustEl(lowPctInputId);
+  const highPctInput = mustEl(highPctInputId);
+  const lowTargetInput = mustEl(lowTargetInputId);
+  const highTargetInput = mustEl(highTargetInputId);
+  const refFileInput = mustEl(refFileInputId);
+  const summary = mustEl(summaryId);
+  const histogramEl = mustEl(histogramId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  let plot = null;
+  let reference = null; // { name, mnemonic, las }
+
+  function openModal() {
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    const prev = curveSel.value;
+    curveSel.innerHTML = "";
+    for (const c of las.curves.slice(1)) {
+      if (Array.isArray(c.data)) continue;
+      const opt = document.createElement("option");
+      opt.value = c.mnemonic;
+      opt.textContent = c.unit ? `${c.mnemonic} (${c.unit})` : c.mnemonic;
+      curveSel.appendChild(opt);
+    }
+    curveSel.value = [...curveSel.options].some(o => o.value === prev) ? prev : pickCurve(las, "GAMMA");
+    if (!curveSel.value && curveSel.options.length) curveSel.selectedIndex = 0;
+
+    populateTopsSelector(topFromSel, topsGetter(), "From top…");
+    populateTopsSelector(topToSel, topsGetter(), "To top…");
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+    update();
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+    plot?.destroy();
+    plot = null;
+  }
+
+  function readInputs() {
+    const num = (input, name) => {
+      if (input.value.trim() === "") return null;
+      const v = Number(input.value);
+      if (!Number.isFinite(v)) throw new Error(`${name} must be a number.`);
+      return v;
+    };
+    const pcts = [num(lowPctInput, "Low percentile") ?? 5, num(highPctInput, "High percentile") ?? 95];
+    if (!pcts.every(p => p >= 0 && p <= 100) || pcts[0] >= pcts[1]) {
+      throw new Error("Percentiles must be between 0 and 100, low below high.");
+    }
+    return {
+      top: num(topInput, "Top"),
+      base: num(baseInput, "Base"),
+      pcts,
+      targets: [num(lowTargetInput, "Low target"), num(highTargetInput, "High target")],
+    };
+  }
+
+  // Percentiles and (when the targets are set) the normalized curve and histograms.
+  function compute() {
+    const las = lasGetter();
+    const mnemonic = curveSel.value;
+    const { top, base, pcts, targets } = readInputs();
+    const from = curvePercentiles(las, mnemonic, pcts, { top, base });
+    if (!from.every(Number.isFinite)) throw new Error(`${mnemonic} has no values in the interval.`);
+    const data = targets.every(v => v != null) ? normalizeValues(findCurve(las, mnemonic).data, from, targets) : null;
+    return { las, mnemonic, top, base, pcts, from, targets, data };
+  }
+
+  function update() {
+    if (!lasGetter() || !curveSel.value) return;
+    let r;
+    try {
+      r = compute();
+    } catch (err) {
+      summary.textContent = String(err?.message ?? err);
+      drawHistogram(null);
+      return;
+    }
+    const [lo, hi] = r.pcts;
+    const refText = reference ? ` Targets from ${reference.mnemonic} of ${reference.name}.` : "";
+    summary.textContent = r.data
+      ? `P${lo} ${round(r.from[0])} → ${r.targets[0]}, P${hi} ${round(r.from[1])} → ${r.targets[1]}.${refText}`
+      : `P${lo} = ${round(r.from[0])}, P${hi} = ${round(r.from[1])}. Enter the targets or load a reference LAS.`;
+
+    const before = intervalValues(r.las, r.mnemonic, r);
+    const after = r.data ? intervalValues(r.las, null, { ...r, data: r.data }) : [];
+    drawHistogram({ before, after, mnemonic: r.mnemonic });
+  }
+
+  function drawHistogram(h) {
+    plot?.destroy();
+    plot = null;
+    histogramEl.innerHTML = "";
+    if (!h || !h.before.length) return;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of [...h.before, ...h.after]) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    if (!(max > min)) return;
+    const bins = 50;
+    const b = histogram(h.before, { min, max, bins });
+    const a = histogram(h.after, { min, max, bins });
+    // A stepped line per histogram: one point per bin edge, the last repeats the last bin.
+    const withEnd = (counts) => [...counts, counts[counts.length - 1]];
+
+    plot = new uPlot({
+      width: Math.max(histogramEl.clientWidth, 400),
+      height: 200,
+      scales: { x: { time: false } },
+      axes: [{ label: h.mnemonic }, { label: "Samples" }],
+      series: [
+        {},
+        { label: "Before", stroke: "#888", fill: "rgba(136,136,136,0.2)", paths: uPlot.paths.stepped({ align: 1 }), points: { show: false } },
+        { label: "After", stroke: "#006600", fill: "rgba(51,204,51,0.25)", paths: uPlot.paths.stepped({ align: 1 }), points: { show: false }, show: h.after.length > 0 },
+      ],
+      cursor: { show: false },
+    }, [Array.from(b.edges), withEnd(Array.from(b.counts)), withEnd(Array.from(a.counts))], histogramEl);
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  for (const el of [curveSel, topInput, baseInput, lowPctInput, highPctInput, lowTargetInput, highTargetInput]) {
+    el.addEventListener("change", () => {
+      if (el === lowPctInput || el === highPctInput) applyReference();
+      update();
+    });
+  }
+  topFromSel.addEventListener("change", () => {
+    if (topFromSel.value !== "") topInput.value = topFromSel.value;
+    update();
+  });
+  topToSel.addEventListener("change", () => {
+    if (topToSel.value !== "") baseInput.value = topToSel.value;
+    update();
+  });
+
+  // The reference well's gamma curve, over its whole length, gives the targets.
+  function applyReference() {
+    if (!reference) return;
+    let pcts;
+    try {
+      pcts = readInputs().pcts;
+    } catch {
+      return;
+    }
+    const [lo, hi] = curvePercentiles(reference.las, reference.mnemonic, pcts);
+    lowTargetInput.value = String(round(lo));
+    highTargetInput.value = String(round(hi));
+  }
+
+  refFileInput.addEventListener("change", async () => {
+    const file = refFileInput.files?.[0];
+    if (!file) return;
+    try {
+      const las = await readLASFile(file);
+      const mnemonic = pickCurve(las, "GAMMA");
+      if (!mnemonic) throw new Error(`No gamma ray curve in ${file.name}`);
+      reference = { name: file.name, mnemonic, las };
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      refFileInput.value = "";
+      return;
+    }
+    applyReference();
+    update();
+  });
+
+  applyBtn.addEventListener("click", () => {
+    if (!lasGetter() || !curveSel.value) return;
+    let r;
+    try {
+      r = compute();
+      if (!r.data) throw new Error("Enter both targets or load a reference LAS.");
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+
+    const out = sanitizeMnemonic(outputInput.value) || `${r.mnemonic}_NORM`;
+    if (out.toUpperCase() === r.las.curves[0].mnemonic.toUpperCase()) {
+      alert(`Cannot overwrite the depth index: ${out}`);
+      return;
+    }
+    if (isProtected(out, protectedGetter())) {
+      alert(`Cannot overwrite protected curve: ${out}`);
+      return;
+    }
+    const [lo, hi] = r.pcts;
+    const interval = r.top == null && r.base == null ? "" : ` over ${r.top ?? "top"} - ${r.base ?? "base"}`;
+    const description = `Normalized ${r.mnemonic}: P${lo} ${round(r.from[0])} to ${r.targets[0]}, ` +
+      `P${hi} ${round(r.from[1])} to ${r.targets[1]}${interval}`;
+
+    recordEdit(history, `Normalize ${r.mnemonic} to ${out}`, () => {
+      addDerivedCurve(r.las, r.mnemonic, out, r.data, description);
+      logEdit(r.las, "Normalize", `${out} = ${description}${reference ? ` (targets from ${reference.name})` : ""}`);
+    });
+    closeModal();
+    onChange(out);
+  });
+
+  return { destroy: closeModal };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+function findCurve(las, mnemonic) {
+  const up = String(mnemonic || "").toUpperCase();
+  return las.curves.find(c => c.mnemonic.toUpperCase() === up) || null;
+}
+
+// Finite values of the curve (or of data, aligned with the index) within [top, base].
+function intervalValues(las, mnemonic, { top = null, base = null, data = null } = {}) {
+  const values = data || findCurve(las, mnemonic)?.data;
+  if (!values) throw new Error(`Curve not found: ${mnemonic}`);
+  if (Array.isArray(values)) throw new Error(`${mnemonic} is not a numeric curve`);
+  const index = las.curves[0].data;
+  const lo = Math.min(top ?? -Infinity, base ?? Infinity);
+  const hi = Math.max(top ?? -Infinity, base ?? Infinity);
+  const out = [];
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isFinite(values[i]) && index[i] >= lo && index[i] <= hi) out.push(values[i]);
+  }
+  return out;
+}
+
+function sanitizeMnemonic(s) {
+  return s.trim().toUpperCase().replace(/\s+/g, "_").replace(/[^A-Z0-9_]/g, "");
+}
+
+function round(v) {
+  return Number(v.toPrecision(4));
+}
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// lasBatch.js
+// Headless batch processing of a directory of LAS files, with the same core the app uses
+// (lasio.js, lasValidator.js, petrophysics.js, zonalStats.js, tops.js). Node only, no DOM.
+//
+// For every *.las file in <inputDir>:
+// - validate it (validateLAS)
+// - compute the porosity curves, SWARCH and VSH (density / resistivity / gamma / neutron /
+//   sonic picked through curveAliases.js unless given)
+// - run zonal stats against the well's row of --tops (matched on UWI, WELL or file name),
+//   falling back to the file's own ~Tops_Data
+// - write the edited file to <outDir>/<name>.las
+// then the summaries:
+//   <outDir>/wells.csv   one row per file
+//   <outDir>/qc.csv      one row per QC issue
+//   <outDir>/zones.csv   one row per zone
+//
+// Usage:
+//   node lasBatch.js <inputDir> [--out <dir>] [--tops <tops.csv>]
+//       [--density <MNEM>] [--resistivity <MNEM>] [--gamma <MNEM>]
+//       [--neutron <MNEM>] [--sonic <MNEM>]
+//       [--pma 2710] [--pf 1000] [--rw 0.026] [--n 1.6] [--m 1.92] [--cutoff 2]
+//       [--vsh-method linear] [--gr-clean <GAPI>] [--gr-shale <GAPI>]
+//       [--porosity density] [--dtma 55.5] [--dtf 189] [--shale-corrected]
+//       [--sw-model archie] [--a 1] [--vsh <MNEM>] [--rsh 2] [--rwb 0.08] [--phi-sh 25]
+//       [--depth-unit M|FT]
+//
+// Exits with code 1 when any file could not be processed (the others are still written).
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { createLasReader, writeLAS, lasDepthUnit, convertDepthUnit, logEdit } from "./lasio.js";
+import { validateLAS } from "./lasValidator.js";
+import {
+  DEFAULT_PETRO_PARAMS,
+  VSH_METHODS,
+  VSH_PERCENTILES,
+  POROSITY_MODELS,
+  SW_MODELS,
+  computePetroCurves,
+  describePetroRun,
+  pickCurve,
+  swPorosityMnemonic,
+  swMnemonic,
+} from "./petrophysics.js";
+import { computeAllZoneStats } from "./zonalStats.js";
+import { parseTopsCsv, topsFromLas, buildTopsData, convertTops } from "./tops.js";
+import { depthUnitKey } from "./units.js";
+
+const USAGE = `Usage: node lasBatch.js <inputDir> [--out <dir>] [--tops <tops.csv>]
+    [--density <MNEM>] [--resistivity <MNEM>] [--gamma <MNEM>]
+    [--neutron <MNEM>] [--sonic <MNEM>]
+    [--pma ${DEFAULT_PETRO_PARAMS.pma}] [--pf ${DEFAULT_PETRO_PARAMS.pf}] [--rw ${DEFAULT_PETRO_PARAMS.rw}] [--n ${DEFAULT_PETRO_PARAMS.n}] [--m ${DEFAULT_PETRO_PARAMS.m}] [--cutoff ${DEFAULT_PETRO_PARAMS.cutoff}]
+    [--vsh-method ${Object.keys(VSH_METHODS).join("|")}] [--gr-clean <P${VSH_PERCENTILES[0]}>] [--gr-shale <P${VSH_PERCENTILES[1]}>]
+    [--porosity ${Object.keys(POROSITY_MODELS).join("|")}] [--dtma ${DEFAULT_PETRO_PARAMS.dtma}] [--dtf ${DEFAULT_PETRO_PARAMS.dtf}] [--shale-corrected]
+    [--sw-model ${Object.keys(SW_MODELS).join("|")}] [--a ${DEFAULT_PETRO_PARAMS.a}] [--vsh <MNEM>] [--rsh ${DEFAULT_PETRO_PARAMS.rsh}] [--rwb ${DEFAULT_PETRO_PARAMS.rwb}] [--phi-sh ${DEFAULT_PETRO_PARAMS.phiSh}]
+    [--depth-unit M|FT]`;
+
+const PETRO_OPTIONS = ["pma", "pf", "rw", "n", "m", "cutoff", "dtma", "dtf", "a", "rsh", "rwb"];
+
+main().catch((err) => {
+  console.error(String(err?.message ?? err));
+  console.error(USAGE);
+  process.exit(2);
+});
+
+async function main() {
+  const opts = readOptions(process.argv.slice(2));
+
+  const files = fs.readdirSync(opts.inputDir)
+    .filter(f => /\.las$/i.test(f))
+    .sort();
+  if (!files.length) throw new Error(`No .las files in ${opts.inputDir}`);
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const topsRows = opts.topsFile ? parseTopsCsv(fs.readFileSync(opts.topsFile, "utf8")) : [];
+
+  const wells = [["file", "well", "uwi", "depth_unit", "curves", "rows", "density", "resistivity", "gamma", "porosity", "qc_errors", "qc_warnings", "zones", "status"]];
+  const qc = [["file", "severity", "code", "line", "set", "curve", "message"]];
+  const zones = [["file", "well", "zone", "top", "base", "depth_unit", "net_porous_interval", "avg_porosity", "avg_resistivity", "avg_water_saturation", "avg_shale_volume", "samples"]];
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const result = await processFile(path.join(opts.inputDir, file), opts, topsRows);
+      wells.push([file, ...result.well]);
+      for (const row of result.qc) qc.push([file, ...row]);
+      for (const row of result.zones) zones.push([file, ...row]);
+      console.log(`${file}: ${result.well.at(-1)}`);
+    } catch (err) {
+      failed++;
+      const message = String(err?.message ?? err);
+      wells.push([file, "", "", "", "", "", "", "", "", "", "", "", "", `error: ${message}`]);
+      console.error(`${file}: error: ${message}`);
+    }
+  }
+
+  writeCsv(path.join(opts.outDir, "wells.csv"), wells);
+  writeCsv(path.join(opts.outDir, "qc.csv"), qc);
+  writeCsv(path.join(opts.outDir, "zones.csv"), zones);
+  console.log(`${files.length - failed} of ${files.length} file(s) processed; output in ${opts.outDir}`);
+
+  if (failed) process.exitCode = 1;
+}
+
+function readOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string" },
+      tops: { type: "string" },
+      density: { type: "string" },
+      resistivity: { type: "string" },
+      gamma: { type: "string" },
+      neutron: { type: "string" },
+      sonic: { type: "string" },
+      porosity: { type: "string" },
+      "shale-corrected": { type: "boolean" },
+      "sw-model": { type: "string" },
+      vsh: { type: "string" },
+      "phi-sh": { type: "string" },
+      "vsh-method": { type: "string" },
+      "gr-clean": { type: "string" },
+      "gr-shale": { type: "string" },
+      "depth-unit": { type: "string" },
+      ...Object.fromEntries(PETRO_OPTIONS.map(k => [k, { type: "string" }])),
+    },
+  });
+
+  if (positionals.length !== 1) throw new Error("Expected exactly one input directory.");
+  const inputDir = path.resolve(positionals[0]);
+  const outDir = path.resolve(values.out ?? path.join(inputDir, "out"));
+  // Edited files keep their names, so writing next to the originals would overwrite them.
+  if (outDir === inputDir) throw new Error("--out must differ from the input directory.");
+
+  const petro = { ...DEFAULT_PETRO_PARAMS };
+  for (const k of PETRO_OPTIONS) {
+    if (values[k] === undefined) continue;
+    const v = Number(values[k]);
+    if (!Number.isFinite(v)) throw new Error(`--${k} must be a number (got "${values[k]}").`);
+    petro[k] = v;
+  }
+  for (const [option, k] of [["gr-clean", "grClean"], ["gr-shale", "grShale"], ["phi-sh", "phiSh"]]) {
+    if (values[option] === undefined) continue;
+    const v = Number(values[option]);
+    if (!Number.isFinite(v)) throw new Error(`--${option} must be a number (got "${values[option]}").`);
+    petro[k] = v;
+  }
+  if (petro.grClean != null && petro.grShale != null && !(petro.grShale > petro.grClean)) {
+    throw new Error("--gr-shale must be greater than --gr-clean.");
+  }
+  if (values["vsh-method"] !== undefined) {
+    if (!VSH_METHODS[values["vsh-method"]]) throw new Error(`Unknown --vsh-method "${values["vsh-method"]}".`);
+    petro.vshMethod = values["vsh-method"];
+  }
+  if (values.porosity !== undefined) {
+    if (!POROSITY_MODELS[values.porosity]) throw new Error(`Unknown --porosity "${values.porosity}".`);
+    petro.porosityModel = values.porosity;
+  }
+  petro.shaleCorrection = Boolean(values["shale-corrected"]);
+  if (values["sw-model"] !== undefined) {
+    if (!SW_MODELS[values["sw-model"]]) throw new Error(`Unknown --sw-model "${values["sw-model"]}".`);
+    petro.swModel = values["sw-model"];
+  }
+  if (values.vsh) petro.vshMnemonic = values.vsh;
+
+  const depthUnit = values["depth-unit"] ? depthUnitKey(values["depth-unit"]) : null;
+  if (values["depth-unit"] && !depthUnit) throw new Error(`Unknown --depth-unit "${values["depth-unit"]}" (use M or FT).`);
+
+  return {
+    inputDir,
+    outDir,
+    topsFile: values.tops ? path.resolve(values.tops) : null,
+    density: values.density || "",
+    resistivity: values.resistivity || "",
+    gamma: values.gamma || "",
+    neutron: values.neutron || "",
+    sonic: values.sonic || "",
+    depthUnit,
+    petro,
+  };
+}
+
+async function processFile(filePath, opts, topsRows) {
+  const las = await readLasFile(filePath);
+  if (opts.depthUnit) convertDepthUnit(las, opts.depthUnit);
+  const unit = lasDepthUnit(las) || opts.depthUnit || "M";
+
+  const report = validateLAS(las);
+
+  const density = opts.density || pickCurve(las, "DENSITY");
+  const resistivity = opts.resistivity || pickCurve(las, "RESISTIVITY");
+  const gamma = opts.gamma || pickCurve(las, "GAMMA");
+  const petro = {
+    ...opts.petro,
+    densityMnemonic: density,
+    resistivityMnemonic: resistivity,
+    gammaMnemonic: gamma,
+    neutronMnemonic: opts.neutron || pickCurve(las, "NEUTRON"),
+    sonicMnemonic: opts.sonic || pickCurve(las, "SONIC"),
+  };
+  const computed = computePetroCurves(las, petro);
+  const details = describePetroRun(petro);
+  if (details) logEdit(las, "Petrophysics", details);
+  const porosity = swPorosityMnemonic(petro);
+
+  const topsData = findTops(las, filePath, topsRows, unit);
+  const zoneStats = (computed && topsData)
+    ? computeAllZoneStats({
+      las,
+      tops: topsData.tops,
+      cutoff: opts.petro.cutoff,
+      resistivityMnemonic: resistivity,
+      porosityMnemonic: porosity,
+      swMnemonic: swMnemonic(petro),
+    })
+    : [];
+
+  fs.writeFileSync(path.join(opts.outDir, path.basename(filePath)), writeLAS(las));
+
+  const wellName = las.well.get("WELL")?.valueRaw || "";
+  const status =
+    !computed ? `no ${POROSITY_MODELS[petro.porosityModel].inputs.join(" / ")} curve; ${porosity} / ${swMnemonic(petro)} not computed` :
+    !topsData ? "ok (no tops for this well)" :
+    "ok";
+
+  return {
+    well: [
+      wellName,
+      las.well.get("UWI")?.valueRaw || "",
+      unit,
+      las.curves.length,
+      las.curves[0]?.data.length ?? 0,
+      computed ? density : "",
+      computed ? resistivity : "",
+      gamma,
+      computed ? porosity : "",
+      report.counts.error,
+      report.counts.warning,
+      zoneStats.length,
+      status,
+    ],
+    qc: report.issues.map(it => [it.severity, it.code, it.line ?? "", it.set, it.curve, it.message]),
+    zones: zoneStats.map(z => [
+      wellName,
+      z.zoneName,
+      formatNumber(z.topA.topD),
+      formatNumber(z.topB.topD),
+      unit,
+      formatNumber(z.stats.netPorousInterval),
+      formatNumber(z.stats.averagePorosity),
+      formatNumber(z.stats.averageResistivity),
+      formatNumber(z.stats.averageWaterSaturation),
+      formatNumber(z.stats.averageShaleVolume),
+      z.stats.count,
+    ]),
+  };
+}
+
+// Streams the file through the incremental reader, so large files are never one string.
+async function readLasFile(filePath) {
+  const reader = createLasReader();
+  for await (const chunk of fs.createReadStream(filePath, { encoding: "utf8" })) reader.push(chunk);
+  return reader.finish();
+}
+
+// The well's row of the tops CSV (by UWI, WELL or file name), else the file's ~Tops_Data;
+// in the LAS depth unit.
+function findTops(las, filePath, topsRows, unit) {
+  const keys = [
+    las.well.get("UWI")?.valueRaw,
+    las.well.get("WELL")?.valueRaw,
+    path.basename(filePath, path.extname(filePath)),
+  ].filter(Boolean).map(normalizeWellId);
+
+  const row = topsRows.find(r => r.wellId && keys.includes(normalizeWellId(r.wellId)));
+  const topsData = row
+    ? buildTopsData(row.wellId, row.tops, row.unit || unit)
+    : topsFromLas(las, unit);
+
+  return topsData?.tops.length ? convertTops(topsData, unit) : null;
+}
+
+function normalizeWellId(s) {
+  return String(s).trim().toUpperCase();
+}
+
+function formatNumber(v) {
+  return Number.isFinite(v) ? String(Number(v.toFixed(4))) : "";
+}
+
+function writeCsv(filePath, rows) {
+  const text = rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+  fs.writeFileSync(filePath, text);
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
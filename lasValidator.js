@@ -0,0 +1,321 @@
+// lasValidator.js
+// QC checks on a parsed LAS (output of readLAS / readLASFile in lasio.js), plus the
+// QC report panel shown after loading.
+//
+// validateLAS(las) is DOM-free and returns
+//   { issues: [{ severity, code, message, line, set, curve }], counts: { error, warning, info } }
+// where line is the 1-based line in the original file (null when it has no single line).
+//
+// Checks:
+// - index (depth) curve not strictly monotonic, or NULL in the index
+// - ~W STRT / STOP / STEP disagreeing with the index curve
+// - data rows whose value count differs from the ~C curve count (lasio pads / truncates them)
+// - duplicate mnemonics in a curve definition section
+// - missing or unreadable NULL in ~W
+// - values that look like an unconverted null sentinel (-999.25, -9999, ...)
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Per-check listing cap; the remainder is summarized in one extra issue.
+const MAX_LISTED = 20;
+
+// Null sentinels seen in the wild; any of them surviving import means NULL was wrong or missing.
+const NULL_SENTINELS = [-999.25, -999, -999.99, -9999, -9999.25, -99999, -999999];
+
+export function validateLAS(las) {
+  const issues = [];
+  const add = (severity, code, message, line = null, extra = {}) => {
+    issues.push({ severity, code, message, line, set: "", curve: "", ...extra });
+  };
+
+  checkNullDeclaration(las, add);
+
+  const sets = las.sets?.length ? las.sets : [{ key: "LOG", name: "Log", curves: las.curves, rowIssues: [], rowIssueCount: 0 }];
+  for (const set of sets) {
+    checkDuplicateMnemonics(set, add);
+    checkColumnCounts(set, add);
+
+    // The index is always the first curve; text-indexed sets (tops) have no depth to check.
+    const index = set.curves[0];
+    if (index && isNumericCurve(index)) {
+      checkMonotonicIndex(set, index, add);
+      if (set.key === "LOG") checkWellRange(las, index, add);
+    }
+
+    checkNullSentinels(las, set, add);
+  }
+
+  issues.sort((a, b) =>
+    (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) ||
+    ((a.line ?? Infinity) - (b.line ?? Infinity))
+  );
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const it of issues) counts[it.severity]++;
+
+  return { issues, counts };
+}
+
+export function bindQcReport({
+  lasGetter = () => window.las,
+  buttonId = "qcReportButton",
+  modalId = "qcReportModal",
+  closeBtnId = "qcReportClose",
+  summaryId = "qcReportSummary",
+  bodyId = "qcReportBody",
+} = {}) {
+  const button = mustEl(buttonId);
+  const modal = mustEl(modalId);
+  const closeBtn = mustEl(closeBtnId);
+  const summary = mustEl(summaryId);
+  const tbody = mustEl(bodyId);
+
+  function render() {
+    const las = lasGetter();
+    if (!las) return null;
+    const report = validateLAS(las);
+    renderReport(report, summary, tbody);
+    return report;
+  }
+
+  function openModal() {
+    if (!lasGetter()) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    render();
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  button.addEventListener("click", openModal);
+  closeBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  return {
+    open: openModal,
+    // After import: only interrupt the user when there is something to report.
+    openIfIssues() {
+      const report = render();
+      if (report?.issues.length) openModal();
+      return report;
+    },
+    destroy() {},
+  };
+}
+
+/* ------------------------- checks ------------------------- */
+
+function checkNullDeclaration(las, add) {
+  const item = las.well?.get("NULL");
+  const wSec = las.sections?.get("W") || las.sections?.get("WELL");
+
+  if (!item) {
+    add("warning", "null-missing", "~W has no NULL item; no values were treated as missing.", wSec?.line ?? null);
+    return;
+  }
+  if (!Number.isFinite(las.nullValue)) {
+    add("warning", "null-invalid", `NULL value "${item.valueRaw || item.unit}" is not a number.`, item.line ?? null);
+  }
+}
+
+function checkDuplicateMnemonics(set, add) {
+  const seen = new Map();
+  for (const c of set.curves) {
+    const key = String(c.mnemonic || "").toUpperCase();
+    const first = seen.get(key);
+    if (first) {
+      add("error", "duplicate-mnemonic",
+        `Duplicate mnemonic ${c.mnemonic}` + (first.line ? ` (first defined on line ${first.line})` : "") + ".",
+        c.line ?? null, { set: set.name, curve: c.mnemonic });
+    } else {
+      seen.set(key, c);
+    }
+  }
+}
+
+function checkColumnCounts(set, add) {
+  const listed = (set.rowIssues || []).slice(0, MAX_LISTED);
+  for (const it of listed) {
+    const fix = it.found < it.expected ? "padded with NULL" : "extra values dropped";
+    add("error", "column-count",
+      `Row has ${it.found} values but ${it.expected} curves are defined (${fix}).`,
+      it.line, { set: set.name });
+  }
+
+  const more = (set.rowIssueCount || 0) - listed.length;
+  if (more > 0) {
+    add("error", "column-count", `${more} more rows with the wrong number of values.`, null, { set: set.name });
+  }
+}
+
+function checkMonotonicIndex(set, index, add) {
+  const d = index.data;
+  const lineOf = (i) => set.rowLines?.[i] || null;
+
+  let dir = 0;        // +1 increasing, -1 decreasing
+  let prev = NaN;
+  let listed = 0;
+  let total = 0;
+
+  const report = (i, message) => {
+    total++;
+    if (listed < MAX_LISTED) {
+      listed++;
+      add("error", "index-order", message, lineOf(i), { set: set.name, curve: index.mnemonic });
+    }
+  };
+
+  for (let i = 0; i < d.length; i++) {
+    const v = d[i];
+    if (!Number.isFinite(v)) {
+      report(i, `${index.mnemonic} is NULL at row ${i + 1}.`);
+      continue;
+    }
+    if (Number.isFinite(prev)) {
+      const step = v - prev;
+      if (step === 0) {
+        report(i, `${index.mnemonic} repeats ${v} (not strictly monotonic).`);
+      } else if (!dir) {
+        dir = Math.sign(step);
+      } else if (Math.sign(step) !== dir) {
+        report(i, `${index.mnemonic} goes ${dir > 0 ? "up" : "down"} from ${prev} to ${v} against the file's direction.`);
+      }
+    }
+    prev = v;
+  }
+
+  if (total > listed) {
+    add("error", "index-order", `${total - listed} more non-monotonic ${index.mnemonic} values.`, null, { set: set.name, curve: index.mnemonic });
+  }
+}
+
+function checkWellRange(las, index, add) {
+  const d = index.data;
+  let first = NaN;
+  let last = NaN;
+  for (let i = 0; i < d.length; i++) {
+    if (!Number.isFinite(d[i])) continue;
+    if (!Number.isFinite(first)) first = d[i];
+    last = d[i];
+  }
+  if (!Number.isFinite(first)) return;
+
+  const step = regularStep(d);
+  const tol = Math.max(1e-6, Math.abs(step ?? 0) * 1e-3);
+
+  const wSec = las.sections?.get("W") || las.sections?.get("WELL");
+  const check = (mnem, actual, describe) => {
+    const item = las.well?.get(mnem);
+    if (!item) {
+      add("warning", "well-range", `~W has no ${mnem} item.`, wSec?.line ?? null, { curve: index.mnemonic });
+      return;
+    }
+    const declared = parseFloat(item.valueRaw);
+    if (!Number.isFinite(declared)) {
+      add("warning", "well-range", `${mnem} value "${item.valueRaw}" is not a number.`, item.line ?? null);
+      return;
+    }
+    const problem = describe(declared, actual);
+    if (problem) add("warning", "well-range", problem, item.line ?? null, { curve: index.mnemonic });
+  };
+
+  check("STRT", first, (declared) =>
+    Math.abs(declared - first) > tol ? `STRT is ${declared} but the first ${index.mnemonic} value is ${first}.` : "");
+  check("STOP", last, (declared) =>
+    Math.abs(declared - last) > tol ? `STOP is ${declared} but the last ${index.mnemonic} value is ${last}.` : "");
+  check("STEP", step, (declared) => {
+    // LAS uses STEP 0 for irregular sampling.
+    if (step === null) return declared !== 0 ? `STEP is ${declared} but ${index.mnemonic} is irregularly sampled (expected 0).` : "";
+    return Math.abs(declared - step) > tol ? `STEP is ${declared} but ${index.mnemonic} advances by ${roundForDisplay(step)}.` : "";
+  });
+}
+
+function checkNullSentinels(las, set, add) {
+  for (const c of set.curves) {
+    if (!isNumericCurve(c)) continue;
+
+    const counts = new Map();
+    const firstRow = new Map();
+    const d = c.data;
+    for (let i = 0; i < d.length; i++) {
+      const v = d[i];
+      if (!NULL_SENTINELS.includes(v) || v === las.nullValue) continue;
+      counts.set(v, (counts.get(v) || 0) + 1);
+      if (!firstRow.has(v)) firstRow.set(v, i);
+    }
+
+    for (const [v, n] of counts) {
+      const declared = Number.isFinite(las.nullValue) ? `NULL is ${las.nullValue}` : "no NULL is declared";
+      add("warning", "null-sentinel",
+        `${c.mnemonic} has ${n} value(s) of ${v}, which looks like an unconverted null (${declared}).`,
+        set.rowLines?.[firstRow.get(v)] || null, { set: set.name, curve: c.mnemonic });
+    }
+  }
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// Constant sample interval of the index, or null when sampling is irregular.
+function regularStep(d) {
+  let step = null;
+  let prev = NaN;
+  for (let i = 0; i < d.length; i++) {
+    const v = d[i];
+    if (!Number.isFinite(v)) continue;
+    if (Number.isFinite(prev)) {
+      const s = v - prev;
+      if (step === null) step = s;
+      else if (Math.abs(s - step) > Math.max(1e-6, Math.abs(step) * 1e-3)) return null;
+    }
+    prev = v;
+  }
+  return step;
+}
+
+function isNumericCurve(c) {
+  return c.data instanceof Float64Array || (Array.isArray(c.data) && !c.data.some(v => typeof v === "string"));
+}
+
+function roundForDisplay(v) {
+  return Number(v.toPrecision(6));
+}
+
+function renderReport(report, summaryEl, tbody) {
+  const { issues, counts } = report;
+  summaryEl.textContent = issues.length
+    ? `${counts.error} error(s), ${counts.warning} warning(s)`
+    : "No issues found.";
+
+  tbody.innerHTML = "";
+  for (const it of issues) {
+    const tr = document.createElement("tr");
+    tr.className = `qc-${it.severity}`;
+    const cells = [
+      it.severity,
+      it.line ?? "—",
+      it.set || "—",
+      it.curve || "—",
+      it.message,
+    ];
+    for (const val of cells) {
+      const td = document.createElement("td");
+      td.textContent = String(val);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
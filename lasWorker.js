@@ -0,0 +1,47 @@
+// lasWorker.js
+// Module worker behind readLASFile() in lasio.js.
+// Reads the posted File in slices, feeds them to createLasReader and reports progress,
+// so multi-hundred-MB LAS files never block the page or exist as one big string.
+//
+// Messages out:
+//   { type: "progress", loaded, total }
+//   { type: "done", las }          (curve, decimals and row-line buffers are transferred, not copied)
+//   { type: "error", message }
+
+import { createLasReader } from "./lasio.js";
+
+const CHUNK_BYTES = 4 * 1024 * 1024;
+
+self.onmessage = async (e) => {
+  const { file } = e.data;
+
+  try {
+    const reader = createLasReader();
+    const decoder = new TextDecoder();
+
+    for (let offset = 0; offset < file.size; offset += CHUNK_BYTES) {
+      const buf = await file.slice(offset, offset + CHUNK_BYTES).arrayBuffer();
+      // stream: true keeps multi-byte characters split across slices intact
+      reader.push(decoder.decode(buf, { stream: true }));
+      self.postMessage({ type: "progress", loaded: Math.min(offset + CHUNK_BYTES, file.size), total: file.size });
+    }
+    reader.push(decoder.decode());
+
+    const las = reader.finish();
+    self.postMessage({ type: "done", las }, transferList(las));
+  } catch (err) {
+    self.postMessage({ type: "error", message: String(err?.message ?? err) });
+  }
+};
+
+function transferList(las) {
+  const buffers = new Set();
+  for (const set of las.sets) {
+    buffers.add(set.rowLines.buffer);
+    for (const c of set.curves) {
+      if (c.data instanceof Float64Array) buffers.add(c.data.buffer);
+      if (c.decimals) buffers.add(c.decimals.buffer);
+    }
+  }
+  return [...buffers];
+}
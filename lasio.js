@@ -3,9 +3,27 @@
 //
 // Features:
 // - Parses LAS 2.0-style sectioned text (~V, ~W, ~C, ~P, ~O, ~A).
-// - Stores curves as an array of curve objects with per-row data.
+// - Parses LAS 3.0 paired sections (~Log_Definition/~Log_Data, ~Core_Definition/~Core_Data,
+//   ~Tops_Definition/~Tops_Data, ...) into data sets. The log set is also exposed as
+//   las.curves / las.params so LAS 2.0 callers keep working.
+// - Stores each numeric curve as a Float64Array (NaN for NULL); there is no row copy.
+// - Parses incrementally (createLasReader), so large files can be fed in chunks from a
+//   Web Worker (readLASFile / lasWorker.js) without holding the whole text.
 // - Exports back to a LAS string after edits.
 // - Handles NULL value, delimiter (SPACE/TAB/COMMA), and ~A numeric tables.
+// - Handles WRAP YES: wrapped depth steps are reassembled using the curve count on read,
+//   and writeLAS({ wrap: true, lineWidth }) writes wrapped output.
+// - LAS 3.0 string columns ({S} format or non-numeric tokens) are kept as plain arrays of strings.
+// - Keeps ~W as a header model (las.well): setWellItem / removeWellItem edit it, and
+//   writeLAS rebuilds STRT / STOP / STEP from the index curve (syncWellDepthRange).
+// - Round-trips untouched values byte for byte: each numeric curve remembers how its values
+//   were written (curve.decimals / curve.tokens), and edited or derived values are formatted
+//   with the curve's original column width and decimals (curve.layout).
+// - Converts depth units (convertDepthUnit, writeLAS({ depthUnit })) using units.js.
+// - Keeps an edit audit trail (las.audit, logEdit): written into ~O as
+//   "EDIT <UTC time> <action>: <details>" lines and read back from them on import.
+// - Records 1-based source line numbers (section.line, item.line, curve.line, set.rowLines)
+//   and rows whose value count differs from the curve count (set.rowIssues) for lasValidator.js.
 //
 // Notes:
 // - This is not a full LAS spec implementation. It aims to be practical for most field LAS files.
@@ -14,99 +32,186 @@
 // Usage:
 //   import { readLAS, writeLAS, applyCurveEdit, downloadTextFile } from "./lasio.js";
 //
-//   const las = await readLAS(fileText);
+//   const las = readLAS(fileText);            // or: await readLASFile(file, { onProgress })
 //   // Edit curve values
 //   const gr = las.curves.find(c => c.mnemonic === "GR");
 //   gr.data = gr.data.map(v => (Number.isFinite(v) ? v * 1.05 : v));
-//   // Or use applyCurveEdit(las, "GR", (v, i, row) => v * 1.05);
+//   // Or use applyCurveEdit(las, "GR", (v, i) => v * 1.05);
 //
 //   const outText = writeLAS(las);
 //   downloadTextFile(outText, "edited.las");
+//
+//   // Wrapped output (depth on its own line, values folded at 80 columns)
+//   writeLAS(las, { wrap: true, lineWidth: 80 });
+//
+//   // Depth in feet, whatever the file (or the app) uses
+//   writeLAS(las, { depthUnit: "FT" });
 
-export function readLAS(text) {
-  const normalized = normalizeNewlines(text);
-  const rawLines = normalized.split("\n");
+import { DEPTH_UNITS, depthUnitKey, convertDepth } from "./units.js";
 
-  // Remove UTF-8 BOM if present
-  if (rawLines.length && rawLines[0].charCodeAt(0) === 0xfeff) rawLines[0] = rawLines[0].slice(1);
+export function readLAS(text) {
+  const reader = createLasReader();
+  reader.push(text);
+  return reader.finish();
+}
 
+/**
+ * Incremental LAS reader. push() text chunks in order (any split, even mid-line),
+ * then finish() returns the las object.
+ * Header sections are kept as lines; data sections are parsed line by line straight
+ * into per-curve column buffers and their text is not retained.
+ */
+export function createLasReader() {
   const las = {
     version: "2.0",
     wrap: "NO",
     delimiter: null, // "SPACE" | "TAB" | "COMMA" | null
     nullValue: null, // number | null
-    sections: new Map(), // sectionName -> { name, lines: original lines (kept), items: parsed key/value where applicable }
+    sections: new Map(), // sectionName -> { name, lines: original lines (kept, empty for data sections), items }
     well: new Map(),     // mnemonic -> item object
-    params: new Map(),   // mnemonic -> item object
-    other: [],           // lines from ~O or ~Other
-    curves: [],          // [{ mnemonic, unit, api, description, rawLine, data: [] }]
-    data: {
-      rows: [],          // array of row arrays [v0, v1, ...]
-    },
+    params: new Map(),   // mnemonic -> item object (active set)
+    other: [],           // lines from ~O or ~Other (without the audit trail)
+    audit: [],           // [{ time, action, details }] see logEdit
+    curves: [],          // [{ mnemonic, unit, api, description, rawLine, data: Float64Array, decimals, tokens, layout }] (active set)
+    sets: [],            // [{ key, name, parameterSection, definitionSection, dataSection, params, curves, rowLines, rowIssues }]
+    activeSet: "LOG",    // key of the set exposed through las.curves / las.params
     meta: {
-      originalText: text,
-      lineEnding: detectLineEnding(text),
+      lineEnding: null,
     },
   };
 
-  // First pass: split into sections.
-  const sections = [];
-  let current = null;
+  let carry = "";        // partial last line of the previous chunk
+  let lineNo = 0;        // 1-based number of the line being handled
+  let started = false;
+  let current = null;    // section receiving header lines
+  let table = null;      // data section being parsed (column builders for one set)
+  let headerParsed = false;
+
+  function parseHeader() {
+    if (headerParsed) return;
+    headerParsed = true;
 
-  for (let i = 0; i < rawLines.length; i++) {
-    const line = rawLines[i];
+    // Parse Version section to detect WRAP, VERS, DLM etc.
+    parseKeyValueSection(las, "V", las.sections.get("V") || las.sections.get("VERSION"));
+    parseKeyValueSection(las, "W", las.sections.get("W") || las.sections.get("WELL"));
 
+    // Resolve delimiter / null from parsed metadata (delimiter may still be guessed from data).
+    las.nullValue = getNullValue(las);
+    las.delimiter = getDelimiter(las);
+  }
+
+  function handleLine(line) {
+    lineNo++;
     const secMatch = line.match(/^\s*~\s*([A-Za-z0-9_]+)\b(.*)$/);
     if (secMatch) {
+      if (table) closeTable(las, table);
+      table = null;
+
       const name = secMatch[1].toUpperCase();
-      current = { name, headerLine: line, lines: [] };
-      sections.push(current);
-      continue;
+      // LAS 3.0 data sections name their definition: "~Log_Data | Log_Definition"
+      const assoc = (secMatch[2].match(/\|\s*([A-Za-z0-9_]+)/)?.[1] ?? "").toUpperCase();
+      current = { name, headerLine: line, line: lineNo, association: assoc, lines: [], items: [] };
+      las.sections.set(name, current);
+
+      // Group parameter / definition / data sections into sets (LAS 2.0 has just the log set).
+      const role = sectionRole(current);
+      if (role) {
+        const set = getOrCreateSet(las, role.key, line);
+        if (!set[role.slot]) set[role.slot] = name;
+        if (role.slot === "dataSection") {
+          parseHeader();
+          set.curves = parseCurveInfoSection(las, las.sections.get(set.definitionSection));
+          table = openTable(las, set);
+        }
+      }
+      return;
+    }
+
+    if (table) {
+      pushDataLine(las, table, line, lineNo);
+      return;
     }
 
     if (!current) {
       // Pre-section header junk: keep in a synthetic section
-      current = { name: "PRE", headerLine: "", lines: [] };
-      sections.push(current);
+      current = { name: "PRE", headerLine: "", line: 0, association: "", lines: [], items: [] };
+      las.sections.set("PRE", current);
     }
     current.lines.push(line);
   }
 
-  // Store sections and parse key ones.
-  for (const s of sections) {
-    las.sections.set(s.name, { ...s, items: [] });
+  function push(chunk) {
+    let text = carry + chunk;
+    if (!started && text.length) {
+      // Remove UTF-8 BOM if present
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      started = true;
+    }
+    // A trailing "\r" may be the first half of "\r\n"; wait for the next chunk.
+    const cut = text.endsWith("\r") ? text.length - 1 : text.length;
+    const complete = text.slice(0, cut);
+    if (!las.meta.lineEnding && /[\r\n]/.test(complete)) las.meta.lineEnding = detectLineEnding(complete);
+
+    const lines = normalizeNewlines(complete).split("\n");
+    carry = lines.pop() + text.slice(cut);
+
+    for (const line of lines) handleLine(line);
   }
 
-  // Parse Version section to detect WRAP, VERS, DLM etc.
-  parseKeyValueSection(las, "V", las.sections.get("V") || las.sections.get("VERSION"));
-  parseKeyValueSection(las, "W", las.sections.get("W") || las.sections.get("WELL"));
-  parseKeyValueSection(las, "P", las.sections.get("P") || las.sections.get("PARAMETER"));
-  parseCurveInfoSection(las, las.sections.get("C") || las.sections.get("CURVE"));
-  parseOtherSection(las, las.sections.get("O") || las.sections.get("OTHER"));
+  function finish() {
+    if (carry.length) handleLine(normalizeNewlines(carry).replace(/\n$/, ""));
+    carry = "";
+    if (table) closeTable(las, table);
+    table = null;
 
-  // Resolve delimiter / null from parsed metadata.
-  las.nullValue = getNullValue(las);
-  las.delimiter = getDelimiter(las);
+    parseHeader();
+    parseOtherSection(las, las.sections.get("O") || las.sections.get("OTHER"));
 
-  // Parse data table (~A or ~ASCII or ~DATA)
-  const aSec =
-    las.sections.get("A") ||
-    las.sections.get("ASCII") ||
-    las.sections.get("DATA");
-  if (aSec) parseAsciiData(las, aSec);
+    for (const set of las.sets) {
+      parseKeyValueSection(las, "P", las.sections.get(set.parameterSection), set.params);
+      // Sets without a data section still expose their definitions.
+      if (!set.dataSection) set.curves = parseCurveInfoSection(las, las.sections.get(set.definitionSection));
+    }
 
-  convertNullSentinelToNull(las);
+    const active = las.sets.find(s => s.key === "LOG") || las.sets[0];
+    if (active) exposeSet(las, active);
 
-  // Distribute column data into curves
-  distributeDataIntoCurves(las);
+    las.meta.lineEnding = las.meta.lineEnding || "\n";
+    return las;
+  }
 
-  return las;
+  return { push, finish };
+}
+
+/**
+ * Expose one of las.sets through las.curves / las.params
+ * (e.g. switch the app from the log set to the core set).
+ */
+export function setActiveSet(las, key) {
+  const sets = syncActiveSet(las);
+  const up = String(key || "").toUpperCase();
+  const set = sets.find(s => s.key === up);
+  if (!set) throw new Error(`Data set not found: ${key}`);
+  exposeSet(las, set);
+  return set;
 }
 
 export function writeLAS(las, opts = {}) {
+  // Written in another depth unit: convert a copy, the caller's las is left as is.
+  if (opts.depthUnit) {
+    const copy = copyForExport(las);
+    convertDepthUnit(copy, opts.depthUnit);
+    return writeLAS(copy, { ...opts, depthUnit: null });
+  }
+
   const lineEnding = opts.lineEnding || las?.meta?.lineEnding || "\n";
 
-  // Build sections. Keep original sections where possible, but update ~C and ~A for sure.
+  // LAS 3.0 does not allow wrapped data, so only LAS 2.0 output honors it.
+  const wrap = !isLas3(las) && (opts.wrap ?? String(las.wrap).toUpperCase() === "YES");
+  const lineWidth = Number.isFinite(opts.lineWidth) ? opts.lineWidth : 80;
+
+  // Sections are written in their original order. ~V and ~W lead; untouched header
+  // lines, curve definitions and data values keep their original text.
   const out = [];
 
   // Helper to push with correct EOL
@@ -116,59 +221,84 @@ export function writeLAS(las, opts = {}) {
   const vSec = las.sections.get("V") || las.sections.get("VERSION");
   if (vSec) {
     pushLine(vSec.headerLine || "~Version");
-    const vLines = rebuildKeyValueLines(las, vSec, "V");
+    const vLines = rebuildKeyValueLines(las, vSec, "V", { WRAP: wrap ? "YES" : "NO" });
     for (const l of vLines) pushLine(l);
   } else {
     pushLine("~Version");
     pushLine(`VERS.  ${las.version ?? "2.0"} : LAS version`);
-    pushLine(`WRAP.  ${las.wrap ?? "NO"} : One line per depth step`);
+    pushLine(`WRAP.  ${wrap ? "YES" : "NO"} : ${wrapDescription(wrap ? "YES" : "NO")}`);
     if (las.delimiter) pushLine(`DLM .  ${las.delimiter} : Delimiter`);
   }
 
-  // WELL (~W)
+  // WELL (~W) — rebuilt from las.well with the depth range taken from the data
+  syncWellDepthRange(las);
   const wSec = las.sections.get("W") || las.sections.get("WELL");
-  if (wSec) {
-    pushLine(wSec.headerLine || "~Well");
-    const wLines = rebuildKeyValueLines(las, wSec, "W");
-    for (const l of wLines) pushLine(l);
-  } else {
-    pushLine("~Well");
-    if (las.nullValue != null) pushLine(`NULL.  ${las.nullValue} : Null value`);
-  }
-
-  // CURVE (~C) — rebuilt from las.curves
-  pushLine("~Curve Information");
-  pushLine("#MNEM.UNIT         API CODE           : CURVE DESCRIPTION");
-  for (const c of las.curves) {
-    pushLine(formatCurveLine(c));
-  }
+  pushLine(wSec?.headerLine || "~Well");
+  for (const l of rebuildWellLines(las, wSec)) pushLine(l);
 
-  // PARAMETER (~P)
-  const pSec = las.sections.get("P") || las.sections.get("PARAMETER");
-  if (pSec) {
-    pushLine(pSec.headerLine || "~Parameter");
-    const pLines = rebuildKeyValueLines(las, pSec, "P");
-    for (const l of pLines) pushLine(l);
-  }
+  const sets = syncActiveSet(las);
+  const dlm = opts.delimiter || las.delimiter || "SPACE";
+  const precision = Number.isFinite(opts.precision) ? opts.precision : null;
+  const las3 = isLas3(las);
 
-  // OTHER (~O)
+  // OTHER (~O) lines added in the app (no ~O in the source) go before any data.
   const oSec = las.sections.get("O") || las.sections.get("OTHER");
-  if (oSec || (las.other && las.other.length)) {
+  if (!oSec && otherLines(las).length) {
     pushLine("~Other");
-    const lines = (las.other && las.other.length) ? las.other : (oSec?.lines || []);
-    for (const l of lines) pushLine(l);
+    for (const l of otherLines(las)) pushLine(l);
   }
 
-  // ASCII (~A) — rebuilt from curve data
-  pushLine("~ASCII");
-  const dlm = opts.delimiter || las.delimiter || "SPACE";
-  const delimChar = dlm === "COMMA" ? "," : (dlm === "TAB" ? "\t" : " ");
+  const writeDefinition = (set) => {
+    const sec = las.sections.get(set.definitionSection);
+    const defName = set.definitionSection || (las3 ? `${set.name}_Definition` : "Curve Information");
+    pushLine(sec?.headerLine || `~${defName}`);
+    if (definitionUnchanged(las, set)) {
+      for (const l of sec.lines) pushLine(l);
+      return;
+    }
+    pushLine("#MNEM.UNIT         API CODE           : CURVE DESCRIPTION");
+    for (const c of set.curves) pushLine(formatCurveLine(c, las3));
+  };
 
-  const rows = rebuildRowsFromCurves(las);
-  const precision = Number.isFinite(opts.precision) ? opts.precision : null;
+  const writeData = (set) => {
+    if (!set.definitionSection) writeDefinition(set);
+    const sec = las.sections.get(set.dataSection);
+    // A LAS 2.0 "~A  DEPT  GR ..." header lists the curves; drop the list once they change.
+    const keepHeader = sec && (las3 || definitionUnchanged(las, set));
+    const defName = set.definitionSection || `${set.name}_Definition`;
+    pushLine(keepHeader ? sec.headerLine : (las3 ? `~${set.name}_Data | ${defName}` : "~ASCII"));
+    const wrapWidth = wrap && set.key === "LOG" ? lineWidth : 0;
+    for (const l of formatDataLines(las, set, dlm, precision, wrapWidth)) pushLine(l);
+  };
+
+  const written = new Set();
+  for (const sec of las.sections.values()) {
+    if (isCoreSection(sec.name)) continue;
+
+    const set = sets.find(s => setOwnsSection(s, sec.name));
+    if (!set) {
+      // ~Other and vendor extensions keep their text.
+      const isOther = sec.name === "O" || sec.name === "OTHER";
+      pushLine(sec.headerLine);
+      const lines = isOther ? otherLines(las) : sec.lines;
+      for (const l of lines) pushLine(l);
+      continue;
+    }
 
-  for (const row of rows) {
-    pushLine(row.map(v => formatNumber(v, las.nullValue, precision)).join(delimChar).trimEnd());
+    if (sec.name === set.parameterSection) {
+      pushLine(sec.headerLine);
+      for (const l of rebuildItemLines(sec, set.params || new Map())) pushLine(l);
+    } else if (sec.name === set.definitionSection) {
+      writeDefinition(set);
+    } else {
+      writeData(set);
+      written.add(set);
+    }
+  }
+
+  // Sets built in memory rather than read from sections.
+  for (const set of sets) {
+    if (!written.has(set) && !set.definitionSection && !set.dataSection) writeData(set);
   }
 
   return out.join(lineEnding) + lineEnding;
@@ -177,33 +307,295 @@ export function writeLAS(las, opts = {}) {
 // --- Editing helpers ---
 
 /**
- * Apply an in-place edit to a curve by mnemonic.
- * fn(value, index, rowArray) -> newValue
+ * Apply an edit to a curve by mnemonic. The curve gets a new data array
+ * (null/undefined results are stored as NaN in numeric curves).
+ * fn(value, index) -> newValue
  */
 export function applyCurveEdit(las, mnemonic, fn) {
-  const idx = las.curves.findIndex(c => c.mnemonic.toUpperCase() === mnemonic.toUpperCase());
-  if (idx === -1) throw new Error(`Curve not found: ${mnemonic}`);
-
-  // Ensure data rows exist
-  const rows = las.data?.rows || [];
-  if (!rows.length) {
-    // If curves have data arrays, edit those instead.
-    const c = las.curves[idx];
-    c.data = c.data.map((v, i) => fn(v, i, null));
-    return;
+  const c = las.curves.find(c => c.mnemonic.toUpperCase() === mnemonic.toUpperCase());
+  if (!c) throw new Error(`Curve not found: ${mnemonic}`);
+
+  const src = c.data || [];
+  const numeric = !Array.isArray(src);
+  const out = numeric ? new Float64Array(src.length) : new Array(src.length);
+
+  for (let i = 0; i < src.length; i++) {
+    const v = fn(src[i], i);
+    out[i] = (numeric && v == null) ? NaN : v;
   }
+  c.data = out;
+}
+
+/**
+ * Add (or replace) outMnemonic with data derived from a source curve, whose unit, API code
+ * and layout it takes.
+ */
+export function addDerivedCurve(las, sourceMnemonic, outMnemonic, data, description) {
+  const src = las.curves.find(c => c.mnemonic.toUpperCase() === sourceMnemonic.toUpperCase());
+  if (!src) throw new Error(`Curve not found: ${sourceMnemonic}`);
+  const curve = {
+    mnemonic: outMnemonic,
+    unit: src.unit || "",
+    api: src.api || "",
+    code: src.code || "",
+    description,
+    rawLine: "",
+    data,
+    layout: src.layout,
+  };
+  const idx = las.curves.findIndex(c => c.mnemonic.toUpperCase() === outMnemonic.toUpperCase());
+  if (idx === -1) las.curves.push(curve);
+  else las.curves[idx] = curve;
+  return curve;
+}
+
+// --- Edit audit trail (~O) ---
 
-  for (let r = 0; r < rows.length; r++) {
-    const row = rows[r];
-    row[idx] = fn(row[idx], r, row);
+const AUDIT_LINE = /^\s*EDIT\s+(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ)\s+([^:]+?)\s*:\s?(.*)$/;
+
+/**
+ * Append an entry to the audit trail, e.g. logEdit(las, "Derive", "NEW_GR = GR * 2").
+ * Call it inside the history.record() of the edit so undo removes it too.
+ */
+export function logEdit(las, action, details = "", time = new Date()) {
+  if (!las.audit) las.audit = [];
+  const entry = { time: time.toISOString().replace(/\.\d+Z$/, "Z"), action, details: String(details).replace(/\s+/g, " ").trim() };
+  las.audit.push(entry);
+  return entry;
+}
+
+function formatAuditLine(entry) {
+  return `EDIT ${entry.time} ${entry.action}: ${entry.details}`;
+}
+
+// ~O as written: the free text, then the audit trail.
+function otherLines(las) {
+  return [...(las.other || []), ...(las.audit || []).map(formatAuditLine)];
+}
+
+// --- Well header (~W) model ---
+
+/**
+ * Set STRT / STOP / STEP in las.well from the log set's index curve.
+ * STEP is 0 when the sampling is irregular (LAS convention). Items whose value already
+ * matches keep their original line.
+ */
+export function syncWellDepthRange(las) {
+  if (!las.well) las.well = new Map();
+  const index = logIndexCurve(las);
+  if (!index || !index.data || !index.data.length) return;
+
+  const d = index.data;
+  let first = NaN;
+  let last = NaN;
+  let step = null;
+  let regular = true;
+  for (let i = 0; i < d.length; i++) {
+    const v = d[i];
+    if (!Number.isFinite(v)) continue;
+    if (Number.isFinite(last)) {
+      const s = v - last;
+      if (step === null) step = s;
+      else if (Math.abs(s - step) > Math.max(1e-9, Math.abs(step) * 1e-6)) regular = false;
+    }
+    if (!Number.isFinite(first)) first = v;
+    last = v;
+  }
+  if (!Number.isFinite(first)) return;
+
+  // d[1] - d[0] is rarely the exact step (1670.1 - 1670 is 0.0999999999999), so the step
+  // is rounded to the index decimals, and a header STEP within the sampling tolerance stays.
+  const decimals = index.layout?.decimals;
+  if (regular && step !== null && decimals != null) step = Number(step.toFixed(decimals));
+  const values = {
+    STRT: first,
+    STOP: last,
+    STEP: (regular && step !== null) ? step : 0,
+  };
+  const descs = { STRT: "First index value", STOP: "Last index value", STEP: "Step" };
+
+  for (const [key, v] of Object.entries(values)) {
+    const item = las.well.get(key);
+    const current = item ? parseFloat(item.valueRaw) : NaN;
+    if (current === roundHeaderNumber(v)) continue;
+    if (key === "STEP" && v !== 0 && Math.abs(current - v) <= Math.max(1e-9, Math.abs(v) * 1e-6)) continue;
+    setWellItem(las, key, {
+      value: formatHeaderNumber(v, item?.valueRaw),
+      unit: item ? item.unit : (index.unit || ""),
+      desc: item ? item.desc : descs[key],
+    });
+  }
+}
+
+/**
+ * Add or update a ~W item. Only the given fields change; an edited item is re-formatted on export.
+ */
+export function setWellItem(las, mnemonic, { value, unit, desc } = {}) {
+  if (!las.well) las.well = new Map();
+  const key = String(mnemonic || "").trim().toUpperCase();
+  if (!key) throw new Error("Well item needs a mnemonic");
+
+  let item = las.well.get(key);
+  if (!item) {
+    item = { mnemonic: key, unit: "", valueRaw: "", desc: "", rawLine: "", line: null };
+    las.well.set(key, item);
+  }
+
+  const next = {
+    unit: unit ?? item.unit,
+    valueRaw: value != null ? String(value) : item.valueRaw,
+    desc: desc ?? item.desc,
+  };
+  if (next.unit !== item.unit || next.valueRaw !== item.valueRaw || next.desc !== item.desc) {
+    Object.assign(item, next);
+    item.rawLine = "";
+  }
+  return item;
+}
+
+export function removeWellItem(las, mnemonic) {
+  las.well?.delete(String(mnemonic || "").trim().toUpperCase());
+}
+
+// --- Depth units (see units.js) ---
+
+/**
+ * Depth unit key ("M" | "FT") of the log index curve, falling back to the ~W STRT unit;
+ * null when neither is a known depth unit.
+ */
+export function lasDepthUnit(las) {
+  return depthUnitKey(logIndexCurve(las)?.unit) ?? depthUnitKey(las.well?.get("STRT")?.unit);
+}
+
+/**
+ * Convert everything measured in a depth unit to unitKey ("M" | "FT"): numeric curves with a
+ * depth unit (index, TVD, LAS 3.0 tops depths) and ~W / ~P items with a depth unit.
+ * Curves and items are replaced rather than mutated. Returns how many were converted.
+ */
+export function convertDepthUnit(las, unitKey) {
+  const to = depthUnitKey(unitKey);
+  if (!to) throw new Error(`Unknown depth unit: ${unitKey}`);
+
+  // Converting back restores the file's own spelling (e.g. "F" rather than "FT").
+  if (!las.meta) las.meta = {};
+  const spellings = las.meta.depthUnitSpellings || (las.meta.depthUnitSpellings = {});
+  const spell = (from, unit) => {
+    if (!spellings[from]) spellings[from] = unit;
+    return spellings[to] || DEPTH_UNITS[to].lasUnit;
+  };
+
+  let converted = 0;
+  for (const set of syncActiveSet(las)) {
+    set.curves.forEach((c, i) => {
+      // Only the index is a depth for sure; a "F" curve elsewhere is a temperature.
+      const from = depthUnitKey(c.unit, { strict: i !== 0 });
+      if (!from || from === to || !c.data || (Array.isArray(c.data) && c.data.some(v => typeof v === "string"))) return;
+
+      converted++;
+
+      // Back in the source unit with the data untouched since: restore the source values.
+      const source = c.depthSource;
+      if (source && source.data === c.data && depthUnitKey(source.curve.unit) === to) {
+        const { unit, data, layout } = source.curve;
+        set.curves[i] = { ...c, unit, data, layout, depthSource: null };
+        return;
+      }
+
+      const data = Float64Array.from(c.data, v => (v == null ? NaN : convertDepth(v, from, to)));
+      // Converted depths rarely fit the source decimals; keep at least 4 so nothing is lost.
+      const layout = c.layout && c.layout.decimals != null
+        ? { ...c.layout, decimals: Math.max(c.layout.decimals, 4) }
+        : c.layout;
+      set.curves[i] = {
+        ...c,
+        unit: spell(from, c.unit),
+        data,
+        layout,
+        depthSource: { curve: source?.curve || c, data },
+      };
+    });
+    if (set.params) converted += convertDepthItems(set.params, to, spell);
+  }
+  if (las.well) converted += convertDepthItems(las.well, to, spell, WELL_DEPTH_ITEMS);
+  return converted;
+}
+
+// ~W items whose value is always a depth.
+const WELL_DEPTH_ITEMS = new Set(["STRT", "STOP", "STEP"]);
+
+// Items of depthKeys take any depth unit spelling; the others not the ambiguous "F".
+function convertDepthItems(items, to, spell, depthKeys = new Set()) {
+  let converted = 0;
+  for (const [key, item] of items) {
+    const from = depthUnitKey(item.unit, { strict: !depthKeys.has(key.trim().toUpperCase()) });
+    const v = parseFloat(item.valueRaw);
+    if (!from || from === to || !Number.isFinite(v)) continue;
+
+    // Keep the item's decimals, but no fewer than 4 (0.1 mm / 0.0001 ft).
+    const decimals = String(item.valueRaw).match(/\.(\d+)\s*$/)?.[1].length ?? 0;
+    const s = convertDepth(v, from, to).toFixed(Math.max(decimals, 4));
+
+    // Back in the source unit with the source value: restore the source item (and its line).
+    const source = item.source || item;
+    const unit = spell(from, item.unit);
+    const restored = source.unit === unit && parseFloat(source.valueRaw) === Number(s) && source.desc === item.desc;
+    items.set(key, restored ? source : { ...item, unit, valueRaw: s, rawLine: "", source });
+    converted++;
   }
+  return converted;
+}
+
+// The log set's index curve, whichever set is active.
+function logIndexCurve(las) {
+  const logSet = (las.sets || []).find(s => s.key === "LOG");
+  const curves = (logSet && las.activeSet !== "LOG") ? logSet.curves : (las.curves || []);
+  return curves[0];
+}
 
-  // Re-distribute back into curve arrays for convenience
-  distributeDataIntoCurves(las);
+// Shallow copy that writeLAS can convert without touching the original's curves or items.
+function copyForExport(las) {
+  const sets = syncActiveSet(las).map(s => ({ ...s, curves: s.curves.slice(), params: new Map(s.params || []) }));
+  const active = sets.find(s => s.key === las.activeSet) || sets[0];
+  return {
+    ...las,
+    well: new Map([...(las.well || new Map())].map(([k, item]) => [k, { ...item }])),
+    sets: las.sets && las.sets.length ? sets : [],
+    curves: active.curves,
+    params: active.params,
+    meta: { ...las.meta, depthUnitSpellings: { ...las.meta?.depthUnitSpellings } },
+  };
 }
 
 // --- Browser import/export helpers ---
 
+/**
+ * Parse a File object in a Web Worker (lasWorker.js) so large files do not block the page.
+ * onProgress(loadedBytes, totalBytes) is called after each chunk.
+ * Resolves to the same las object readLAS would return.
+ */
+export function readLASFile(file, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./lasWorker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        onProgress?.(msg.loaded, msg.total);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === "done") resolve(msg.las);
+      else reject(new Error(msg.message));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "LAS worker failed"));
+    };
+
+    worker.postMessage({ file });
+  });
+}
+
 /**
  * Read a File object (from <input type="file">) into text.
  */
@@ -254,16 +646,20 @@ function stripComment(line) {
   return line.slice(0, hash);
 }
 
-function parseKeyValueSection(las, shortName, sec) {
+// MNEM.UNIT  VALUE : DESCRIPTION (the unit, if any, follows the period with no space)
+const KEY_VALUE_RE = /^\s*([^.\s]+)\s*\.([^ \t]*)\s*([^:]*?)\s*(?::\s*(.*))?$/;
+
+function parseKeyValueSection(las, shortName, sec, target = null) {
   if (!sec) return;
 
   const items = [];
-  for (const raw of sec.lines) {
+  for (let i = 0; i < sec.lines.length; i++) {
+    const raw = sec.lines[i];
     const line = stripComment(raw).trimEnd();
     if (!line.trim()) continue;
     // Typical format: MNEM.UNIT  VALUE : DESCRIPTION
     // Example: NULL. -999.25 : Null value
-    const m = line.match(/^\s*([^.\s]+)\s*\.\s*([^ \t]*)\s+([^:]*)?(?::\s*(.*))?$/);
+    const m = line.match(KEY_VALUE_RE);
     if (!m) continue;
 
     const mnemonic = m[1].trim();
@@ -271,11 +667,11 @@ function parseKeyValueSection(las, shortName, sec) {
     const valueRaw = (m[3] ?? "").trim();
     const desc = (m[4] ?? "").trim();
 
-    const item = { mnemonic, unit, valueRaw, desc, rawLine: raw };
+    const item = { mnemonic, unit, valueRaw, desc, rawLine: raw, line: sec.line + 1 + i };
     items.push(item);
 
     if (shortName === "W") las.well.set(mnemonic.toUpperCase(), item);
-    if (shortName === "P") las.params.set(mnemonic.toUpperCase(), item);
+    if (shortName === "P") (target || las.params).set(mnemonic.toUpperCase(), item);
 
     if (shortName === "V") {
       // common: VERS, WRAP, DLM
@@ -289,52 +685,179 @@ function parseKeyValueSection(las, shortName, sec) {
 }
 
 function parseCurveInfoSection(las, sec) {
-  if (!sec) return;
+  if (!sec) return [];
 
+  const las3 = isLas3(las);
   const curves = [];
-  for (const raw of sec.lines) {
-    const line = stripComment(raw).trimEnd();
-    if (!line.trim()) continue;
-
-    // Format: MNEM.UNIT   API   : DESCRIPTION
-    // API/code part may be blank; tolerate varied spacing.
-    const m = line.match(/^\s*([^.\s]+)\s*\.\s*([^ \t]*)\s*(.*?)\s*(?::\s*(.*))?$/);
-    if (!m) continue;
-
-    const mnemonic = m[1].trim();
-    const unit = (m[2] ?? "").trim();
-    const middle = (m[3] ?? "").trim();
-    const desc = (m[4] ?? "").trim();
+  for (let i = 0; i < sec.lines.length; i++) {
+    const raw = sec.lines[i];
+    const def = parseCurveLine(raw, las3);
+    if (!def) continue;
+    curves.push({ ...def, rawLine: raw, line: sec.line + 1 + i, data: [] });
+  }
+  return curves;
+}
 
-    // Split middle into api & code heuristically (keep as one string if unclear).
-    let api = "";
-    let code = "";
-    if (middle) {
-      const parts = middle.split(/\s+/).filter(Boolean);
-      if (parts.length === 1) {
-        api = parts[0];
-      } else if (parts.length >= 2) {
-        api = parts[0];
-        code = parts.slice(1).join(" ");
-      }
+function parseCurveLine(raw, las3) {
+  const line = stripComment(raw).trimEnd();
+  if (!line.trim()) return null;
+
+  // Format: MNEM.UNIT   API   : DESCRIPTION
+  // API/code part may be blank; tolerate varied spacing.
+  const m = line.match(/^\s*([^.\s]+)\s*\.([^ \t]*)\s*(.*?)\s*(?::\s*(.*))?$/);
+  if (!m) return null;
+
+  const mnemonic = m[1].trim();
+  const unit = (m[2] ?? "").trim();
+  const middle = (m[3] ?? "").trim();
+  let desc = (m[4] ?? "").trim();
+
+  // LAS 3.0: "Description {F10.4} | Association"
+  let format = "";
+  let association = "";
+  if (las3) {
+    const d = desc.match(/^(.*?)\s*(?:\{([^}]*)\})?\s*(?:\|\s*(.*))?$/);
+    if (d) {
+      desc = d[1].trim();
+      format = (d[2] ?? "").trim();
+      association = (d[3] ?? "").trim();
     }
+  }
 
-    curves.push({
-      mnemonic,
-      unit,
-      api,
-      code,
-      description: desc,
-      rawLine: raw,
-      data: [],
-    });
+  // Split middle into api & code heuristically (keep as one string if unclear).
+  let api = "";
+  let code = "";
+  if (middle) {
+    const parts = middle.split(/\s+/).filter(Boolean);
+    if (parts.length === 1) {
+      api = parts[0];
+    } else if (parts.length >= 2) {
+      api = parts[0];
+      code = parts.slice(1).join(" ");
+    }
   }
-  las.curves = curves;
+
+  return { mnemonic, unit, api, code, description: desc, format, association };
+}
+
+// True when the curve still says what its source line says (rawLine can be written as is).
+function sameCurveDef(c, def) {
+  return !!def &&
+    (c.mnemonic ?? "") === def.mnemonic &&
+    (c.unit ?? "") === def.unit &&
+    (c.api ?? "") === def.api &&
+    (c.code ?? "") === def.code &&
+    (c.description ?? "") === def.description &&
+    (c.format ?? "") === def.format &&
+    (c.association ?? "") === def.association;
+}
+
+// The set still has exactly the curves of its definition section, unedited and in order.
+function definitionUnchanged(las, set) {
+  const sec = las.sections.get(set.definitionSection);
+  if (!sec) return false;
+  const las3 = isLas3(las);
+  const defs = sec.lines.map(l => parseCurveLine(l, las3)).filter(Boolean);
+  return defs.length === set.curves.length && set.curves.every((c, i) => sameCurveDef(c, defs[i]));
 }
 
 function parseOtherSection(las, sec) {
   if (!sec) return;
-  las.other = sec.lines.slice();
+  las.other = [];
+  las.audit = [];
+  for (const line of sec.lines) {
+    const m = line.match(AUDIT_LINE);
+    if (m) las.audit.push({ time: m[1], action: m[2], details: m[3].trim() });
+    else las.other.push(line);
+  }
+}
+
+// --- Data sets (LAS 3.0 paired sections) ---
+
+const SET_SLOTS = {
+  PARAMETER: "parameterSection",
+  DEFINITION: "definitionSection",
+  DATA: "dataSection",
+};
+
+function sectionRole(sec) {
+  const n = sec.name;
+  // LAS 2.0 names (also accepted by LAS 3.0 as the log set)
+  if (n === "C" || n === "CURVE") return { key: "LOG", slot: "definitionSection" };
+  if (n === "P" || n === "PARAMETER") return { key: "LOG", slot: "parameterSection" };
+  if (n === "A" || n === "ASCII" || n === "DATA") return { key: "LOG", slot: "dataSection" };
+
+  const m = n.match(/^(.+)_(PARAMETER|DEFINITION|DATA)$/);
+  if (!m) return null;
+
+  // "~Core_Data | Core_Definition" — the association names the definition to pair with.
+  let key = m[1];
+  const am = m[2] === "DATA" ? sec.association.match(/^(.+)_DEFINITION$/) : null;
+  if (am) key = am[1];
+
+  return { key, slot: SET_SLOTS[m[2]] };
+}
+
+function getOrCreateSet(las, key, headerLine) {
+  let set = las.sets.find(s => s.key === key);
+  if (set) return set;
+
+  const label = headerLine.match(/~\s*([A-Za-z0-9]+)_/)?.[1];
+  set = {
+    key,
+    name: label && label.toUpperCase() === key ? label : capitalize(key),
+    parameterSection: null,
+    definitionSection: null,
+    dataSection: null,
+    params: new Map(),
+    curves: [],
+    rowLines: new Uint32Array(0), // source line of each data row as read
+    rowIssues: [],                // [{ row, line, found, expected }] value count != curve count
+    rowIssueCount: 0,
+  };
+  las.sets.push(set);
+  return set;
+}
+
+function exposeSet(las, set) {
+  las.curves = set.curves;
+  las.params = set.params;
+  las.activeSet = set.key;
+}
+
+// las.curves / las.params may have been reassigned by callers; push them back
+// into the active set so every set is written from its current state.
+function syncActiveSet(las) {
+  if (!las.sets || !las.sets.length) {
+    return [{ key: "LOG", name: "Log", curves: las.curves || [], params: las.params }];
+  }
+  const active = las.sets.find(s => s.key === las.activeSet);
+  if (active) {
+    active.curves = las.curves;
+    active.params = las.params;
+  }
+  return las.sets;
+}
+
+function setOwnsSection(set, name) {
+  return set.parameterSection === name || set.definitionSection === name || set.dataSection === name;
+}
+
+function isCoreSection(name) {
+  return name === "V" || name === "VERSION" || name === "W" || name === "WELL" || name === "PRE";
+}
+
+function isLas3(las) {
+  return parseFloat(las.version) >= 3;
+}
+
+function isTextFormat(format) {
+  // LAS 3.0 formats: F/E/I are numeric; S (string) and date/time masks are text.
+  return /^[SDTM]/i.test(format || "");
+}
+
+function capitalize(s) {
+  return s.charAt(0) + s.slice(1).toLowerCase();
 }
 
 function getNullValue(las) {
@@ -342,7 +865,7 @@ function getNullValue(las) {
   const item = las.well.get("NULL") || las.well.get("NULL ");
   if (!item) return las.nullValue;
 
-  const v = parseFloat(item.unit);
+  const v = parseFloat(item.valueRaw || item.unit);
   return Number.isFinite(v) ? v : las.nullValue;
 }
 
@@ -361,113 +884,278 @@ function getDelimiter(las) {
     if (s === "SPACE" || s === "TAB" || s === "COMMA") return s;
   }
 
-  // Fallback: guess from first data line
-  const aSec = las.sections.get("A") || las.sections.get("ASCII") || las.sections.get("DATA");
-  if (aSec) {
-    const first = aSec.lines.find(l => stripComment(l).trim().length);
-    if (first) {
-      if (first.includes(",")) return "COMMA";
-      if (/\t/.test(first)) return "TAB";
-      return "SPACE";
-    }
-  }
+  // Unknown: guessed from the first data line (see pushDataLine)
+  return null;
+}
+
+function guessDelimiter(line) {
+  if (line.includes(",")) return "COMMA";
+  if (/\t/.test(line)) return "TAB";
   return "SPACE";
 }
 
-function parseAsciiData(las, sec) {
-  const dlm = las.delimiter || "SPACE";
-  const splitter =
-    dlm === "COMMA" ? /,+/ :
-    dlm === "TAB"   ? /\t+/ :
-                      /\s+/;
+// --- Data tables: one column builder per curve, filled row by row ---
+
+// Rows with a wrong value count are counted in full but only this many are listed.
+const MAX_ROW_ISSUES = 1000;
+
+function openTable(las, set) {
+  return {
+    set,
+    splitter: null,  // resolved on the first data line (the delimiter may have to be guessed)
+    keepText: isLas3(las),
+    // Wrapped files spread one depth step over several lines; collect tokens until a full
+    // row (one value per curve) is available. Without a curve list there is nothing to count.
+    wrapped: String(las.wrap).toUpperCase() === "YES" && set.curves.length > 0,
+    pending: [],
+    pendingLine: 0,
+    length: 0,
+    capacity: 0,
+    rowLines: new Uint32Array(0),
+    columns: set.curves.map(c => newColumn(isTextFormat(c.format))),
+  };
+}
 
-  const rows = [];
-  for (const raw of sec.lines) {
-    const line = stripComment(raw).trim();
-    if (!line) continue;
+function newColumn(text) {
+  return {
+    text,
+    values: text ? [] : new Float64Array(0),
+    // Numeric columns remember how each value was written (see tokenDecimals).
+    decimals: new Uint8Array(0),
+    widths: new Uint8Array(0),
+    tokens: new Map(),
+  };
+}
 
-    const parts = line.split(splitter).filter(p => p.length);
-    if (!parts.length) continue;
+function pushDataLine(las, table, raw, lineNo) {
+  // Leading whitespace is kept: it is part of the first column's width.
+  const line = stripComment(raw).trimEnd();
+  if (!line.trim()) return;
+
+  if (!table.splitter) {
+    if (!las.delimiter) las.delimiter = guessDelimiter(line);
+    table.splitter =
+      las.delimiter === "COMMA" ? /,+/ :
+      las.delimiter === "TAB"   ? /\t+/ :
+                                  /\s+/;
+  }
 
-    const row = parts.map(p => {
-      const v = parseFloat(p);
-      return Number.isFinite(v) ? v : null;
-    });
-    rows.push(row);
+  let parts;
+  let widths = null;
+  if (line.includes('"')) {
+    ({ parts, widths } = splitQuoted(line, las.delimiter));
+  } else {
+    ({ parts, widths } = splitFields(line, las.delimiter, table.splitter));
   }
+  if (!parts.length) return;
 
-  las.data.rows = rows;
+  if (!table.wrapped) {
+    appendRow(las, table, parts, lineNo, widths);
+    return;
+  }
+
+  // A wrapped step is reported at the line it starts on.
+  if (!table.pending.length) table.pendingLine = lineNo;
+  for (const p of parts) table.pending.push(p);
+  const n = table.columns.length;
+  while (table.pending.length >= n) {
+    appendRow(las, table, table.pending.slice(0, n), table.pendingLine);
+    table.pending = table.pending.slice(n);
+    table.pendingLine = lineNo;
+  }
 }
 
-// NEW
-function convertNullSentinelToNull(las) {
+function appendRow(las, table, parts, lineNo, widths = null) {
+  const { set, columns } = table;
+
+  // If no curve info section, infer from first row length.
+  if (!columns.length && !table.length) {
+    for (let i = 0; i < parts.length; i++) {
+      set.curves.push({ mnemonic: `CURVE${i + 1}`, unit: "", api: "", code: "", description: "", format: "", association: "", rawLine: "", data: [] });
+      columns.push(newColumn(false));
+    }
+  }
+
+  if (table.length === table.capacity) growTable(table);
+
+  const r = table.length;
   const nv = las.nullValue;
-  if (!Number.isFinite(nv)) return;
-
-  const rows = las.data?.rows || [];
-  for (let r = 0; r < rows.length; r++) {
-    const row = rows[r];
-    for (let c = 0; c < row.length; c++) {
-      const v = row[c];
-      if (v === null) continue;
-      // strict equality is usually correct for LAS NULL (e.g., -999.25)
-      if (v === nv) row[c] = null;
+  table.rowLines[r] = lineNo;
+
+  if (parts.length !== columns.length) {
+    set.rowIssueCount++;
+    if (set.rowIssues.length < MAX_ROW_ISSUES) {
+      set.rowIssues.push({ row: r, line: lineNo, found: parts.length, expected: columns.length });
     }
   }
-}
 
-function distributeDataIntoCurves(las) {
-  const rows = las.data?.rows || [];
-  const nCurves = las.curves.length;
+  // Rows shorter than the curve list are padded with NULL, extra values are dropped.
+  for (let ci = 0; ci < columns.length; ci++) {
+    const col = columns[ci];
+    const token = ci < parts.length ? parts[ci].trim() : "";
 
-  // If no curve info section, infer from first row length.
-  if (!nCurves && rows.length) {
-    for (let i = 0; i < rows[0].length; i++) {
-      las.curves.push({ mnemonic: `CURVE${i + 1}`, unit: "", api: "", code: "", description: "", rawLine: "", data: [] });
+    if (col.text) {
+      const v = parseFloat(token);
+      col.values[r] = (!token || v === nv) ? null : token;
+      continue;
+    }
+
+    const v = parseFloat(token);
+    if (Number.isFinite(v)) {
+      // strict equality is usually correct for LAS NULL (e.g., -999.25)
+      col.values[r] = v === nv ? NaN : v;
+      col.decimals[r] = tokenDecimals(token, v);
+      if (col.decimals[r] === TOKEN_KEPT) col.tokens.set(r, token);
+    } else if (table.keepText && token) {
+      // LAS 3.0 allows string values (e.g. formation names in ~Tops_Data).
+      toTextColumn(col, r);
+      col.values[r] = token;
+      continue;
+    } else {
+      col.values[r] = NaN;
+      col.decimals[r] = TOKEN_KEPT;
+      if (token) col.tokens.set(r, token);
     }
+    if (widths && ci < widths.length) col.widths[r] = Math.min(widths[ci], 255);
   }
+  table.length++;
+}
 
-  // Reset
-  for (const c of las.curves) c.data = [];
+// Decimal count that reproduces token exactly via v.toFixed(), or TOKEN_KEPT when it
+// doesn't ("1.5E+02", "+3", ".5", "-0"); those tokens are kept verbatim in col.tokens.
+const TOKEN_KEPT = 255;
 
-  if (!rows.length) return;
+function tokenDecimals(token, v) {
+  const dot = token.indexOf(".");
+  const d = dot === -1 ? 0 : token.length - dot - 1;
+  return d < TOKEN_KEPT && v.toFixed(d) === token ? d : TOKEN_KEPT;
+}
 
-  // Normalize row length to curve count (pad/truncate)
-  for (const row of rows) {
-    if (row.length < las.curves.length) {
-      while (row.length < las.curves.length) row.push(null);
-    } else if (row.length > las.curves.length) {
-      row.length = las.curves.length;
+// Split an unquoted data line into tokens plus the width of each field as written
+// (SPACE: leading blanks + token; TAB / COMMA: the text between delimiters).
+function splitFields(line, dlm, splitter) {
+  const parts = [];
+  const widths = [];
+
+  if (dlm !== "COMMA" && dlm !== "TAB") {
+    const re = /\S+/g;
+    let prevEnd = 0;
+    let m;
+    while ((m = re.exec(line))) {
+      parts.push(m[0]);
+      widths.push(re.lastIndex - prevEnd);
+      prevEnd = re.lastIndex;
     }
+    return { parts, widths };
   }
 
-  // Fill
-  for (let ci = 0; ci < las.curves.length; ci++) {
-    const c = las.curves[ci];
-    const arr = new Array(rows.length);
-    for (let r = 0; r < rows.length; r++) arr[r] = rows[r][ci];
-    c.data = arr;
+  for (const field of line.split(splitter)) {
+    if (!field.length) continue;
+    parts.push(field.trim());
+    widths.push(field.length);
   }
+  return { parts, widths };
 }
 
-function rebuildRowsFromCurves(las) {
-  // Prefer las.data.rows if present and consistent; otherwise rebuild from curve arrays.
-  const curves = las.curves || [];
-  const n = curves.length;
-  if (!n) return [];
+function growTable(table) {
+  table.capacity = Math.max(1024, table.capacity * 2);
+  const lines = new Uint32Array(table.capacity);
+  lines.set(table.rowLines);
+  table.rowLines = lines;
+  for (const col of table.columns) {
+    if (col.text) continue;
+    const next = new Float64Array(table.capacity);
+    next.set(col.values);
+    col.values = next;
+    const decimals = new Uint8Array(table.capacity);
+    decimals.set(col.decimals);
+    col.decimals = decimals;
+    const widths = new Uint8Array(table.capacity);
+    widths.set(col.widths);
+    col.widths = widths;
+  }
+}
 
-  const rowCount = maxLen(curves.map(c => (c.data ? c.data.length : 0)));
-  const rows = new Array(rowCount);
+function toTextColumn(col, length) {
+  col.values = Array.from(col.values.subarray(0, length), v => (Number.isNaN(v) ? null : v));
+  col.text = true;
+  col.decimals = new Uint8Array(0);
+  col.widths = new Uint8Array(0);
+  col.tokens.clear();
+}
 
-  for (let r = 0; r < rowCount; r++) {
-    const row = new Array(n);
-    for (let ci = 0; ci < n; ci++) {
-      const v = curves[ci].data?.[r];
-      row[ci] = (v === undefined ? null : v);
+function closeTable(las, table) {
+  // A truncated last wrapped step is kept (and padded) rather than silently dropped.
+  if (table.pending.length) appendRow(las, table, table.pending, table.pendingLine);
+  table.pending = [];
+
+  table.set.rowLines = table.rowLines.slice(0, table.length);
+
+  // Copy into exactly-sized arrays so the spare capacity is released.
+  table.set.curves.forEach((c, ci) => {
+    const col = table.columns[ci];
+    c.data = col.values.slice(0, table.length);
+    if (col.text) return;
+
+    // Source text of each value, so writeLAS can give back untouched values byte for byte:
+    // decimals[i] is the toFixed() count of row i (TOKEN_KEPT: verbatim token in tokens),
+    // widths[i] the width of its field (0 when unknown).
+    c.decimals = col.decimals.slice(0, table.length);
+    c.widths = col.widths.slice(0, table.length);
+    c.tokens = col.tokens;
+    // How re-formatted values of this curve are written: its most common width and decimals.
+    c.layout = {
+      width: mostCommon(c.widths, () => true) ?? 0,
+      decimals: mostCommon(c.decimals, (d, i) => d !== TOKEN_KEPT && !Number.isNaN(c.data[i])),
+    };
+  });
+}
+
+function mostCommon(bytes, accept) {
+  const counts = new Uint32Array(256);
+  for (let i = 0; i < bytes.length; i++) {
+    if (accept(bytes[i], i)) counts[bytes[i]]++;
+  }
+  let best = null;
+  for (let b = 0; b < counts.length; b++) {
+    if (counts[b] && (best === null || counts[b] > counts[best])) best = b;
+  }
+  return best;
+}
+
+// Split a data line honoring double-quoted strings (LAS 3.0 text values).
+// Field widths are measured as in splitFields.
+function splitQuoted(line, dlm) {
+  const sep = dlm === "COMMA" ? "," : (dlm === "TAB" ? "\t" : null);
+  const parts = [];
+  const widths = [];
+  let cur = "";
+  let inQ = false;
+  let fieldStart = 0;
+
+  const flush = (end) => {
+    if (cur.trim().length) {
+      parts.push(cur.trim());
+      widths.push(end - fieldStart);
+      fieldStart = sep ? end + 1 : end;
+    } else if (sep) {
+      fieldStart = end + 1;
+    }
+    cur = "";
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      inQ = !inQ;
+    } else if (!inQ && (sep ? ch === sep : /\s/.test(ch))) {
+      flush(i);
+    } else {
+      cur += ch;
     }
-    rows[r] = row;
   }
-  return rows;
+  flush(line.length);
+  return { parts, widths };
 }
 
 function maxLen(arr) {
@@ -476,17 +1164,111 @@ function maxLen(arr) {
   return m;
 }
 
-function formatCurveLine(c) {
+function formatCurveLine(c, las3) {
+  if (c.rawLine && sameCurveDef(c, parseCurveLine(c.rawLine, las3))) return c.rawLine;
+
   // Keep a reasonably standard alignment (not strict spec formatting).
   const mn = (c.mnemonic ?? "").padEnd(8, " ");
   const un = (c.unit ?? "").padEnd(8, " ");
   const api = (c.api ?? "").padEnd(16, " ");
   const code = (c.code ?? "").padEnd(16, " ");
-  const desc = c.description ?? "";
-  return `${mn}.${un} ${api} ${code} : ${desc}`.replace(/\s+:/, " :");
+  let desc = c.description ?? "";
+  if (c.format) desc += ` {${c.format}}`;
+  if (c.association) desc += ` | ${c.association}`;
+  return `${mn}.${un} ${api} ${code} : ${desc.trim()}`.replace(/\s+:/, " :");
+}
+
+function formatDataLines(las, set, dlm, precision, wrapWidth = 0) {
+  const delimChar = dlm === "COMMA" ? "," : (dlm === "TAB" ? "\t" : " ");
+  const curves = set.curves || [];
+  const rowCount = maxLen(curves.map(c => (c.data ? c.data.length : 0)));
+  const lines = [];
+
+  const tokens = new Array(curves.length);
+  const widths = new Array(curves.length);
+
+  for (let r = 0; r < rowCount; r++) {
+    for (let i = 0; i < curves.length; i++) {
+      const c = curves[i];
+      // Untouched values go back as read, in a field as wide as the one they came from.
+      // An explicit precision re-formats everything.
+      const original = precision == null ? originalToken(c, r, c.data?.[r], las.nullValue) : null;
+      tokens[i] = original ?? formatCell(c, r, las.nullValue, precision, delimChar);
+      widths[i] = precision != null ? 0 : ((original !== null && c.widths?.[r]) || c.layout?.width || 0);
+    }
+    if (!wrapWidth) {
+      lines.push(joinFields(tokens, widths, delimChar).trimEnd());
+      continue;
+    }
+
+    // LAS 2.0 wrap: the index value stands alone, the rest are folded at wrapWidth.
+    lines.push(tokens[0] ?? "");
+    let cur = "";
+    for (let i = 1; i < tokens.length; i++) {
+      const next = cur ? cur + delimChar + tokens[i] : tokens[i];
+      if (cur && next.length > wrapWidth) {
+        lines.push(cur);
+        cur = tokens[i];
+      } else {
+        cur = next;
+      }
+    }
+    if (cur) lines.push(cur);
+  }
+  return lines;
+}
+
+// SPACE: width covers the blanks before the value; TAB / COMMA: the text between delimiters.
+function joinFields(tokens, widths, delimChar) {
+  let line = "";
+  for (let i = 0; i < tokens.length; i++) {
+    if (delimChar === " ") {
+      line += (i ? " " + tokens[i] : tokens[i]).padStart(widths[i], " ");
+    } else {
+      line += (i ? delimChar : "") + tokens[i].padStart(widths[i], " ");
+    }
+  }
+  return line;
+}
+
+function formatCell(c, r, nullValue, precision, delimChar) {
+  const v = c.data?.[r];
+  if (typeof v === "string") {
+    // LAS 3.0 strings: quote when the text would otherwise split on the delimiter.
+    return (v.includes(delimChar) || /\s/.test(v)) ? `"${v}"` : v;
+  }
+  if (precision != null) return formatNumber(v, nullValue, precision);
+
+  // Edited or derived: the curve's usual decimals (nulls too, when that keeps their value).
+  const decimals = c.layout?.decimals ?? null;
+  if (v == null || !Number.isFinite(v)) return fixedIfExact(nullValue, decimals) ?? formatNumber(v, nullValue, null);
+  return formatNumber(v, nullValue, decimals);
+}
+
+// The value's source text, as long as the value has not been edited since it was read.
+function originalToken(c, r, v, nullValue) {
+  const d = c.decimals?.[r];
+  if (d === undefined) return null;
+  const missing = v == null || !Number.isFinite(v);
+
+  if (d === TOKEN_KEPT) {
+    const token = c.tokens?.get(r);
+    if (token === undefined) return null;
+    const tv = parseFloat(token);
+    const same = missing ? (!Number.isFinite(tv) || tv === nullValue) : tv === v;
+    return same ? token : null;
+  }
+
+  return fixedIfExact(missing ? nullValue : v, d);
+}
+
+function fixedIfExact(v, decimals) {
+  if (v == null || decimals == null) return null;
+  const s = v.toFixed(decimals);
+  return Number(s) === v ? s : null;
 }
 
-function rebuildKeyValueLines(las, sec, shortName) {
+function rebuildKeyValueLines(las, sec, shortName, overrides = {}) {
   // Rebuild only known keys we might have changed (NULL, DLM, WRAP, VERS), else keep raw.
   // For simplicity, keep original lines unless we have matching parsed items to update.
   const lines = [];
@@ -504,35 +1286,38 @@ function rebuildKeyValueLines(las, sec, shortName) {
   if (shortName === "W") {
     if (las.nullValue != null) updates.set("NULL", String(las.nullValue));
   }
+  for (const [k, v] of Object.entries(overrides)) updates.set(k, v);
 
   for (const raw of original) {
     const line = stripComment(raw).trimEnd();
-    const m = line.match(/^\s*([^.\s]+)\s*\.\s*([^ \t]*)\s+([^:]*)?(?::\s*(.*))?$/);
+    const m = line.trim() ? line.match(KEY_VALUE_RE) : null;
     if (!m) {
       lines.push(raw);
       continue;
     }
     const mnemonic = m[1].trim().toUpperCase();
-    if (!updates.has(mnemonic)) {
+    const newValue = updates.get(mnemonic);
+    if (newValue === undefined || sameHeaderValue((m[3] ?? "").trim(), newValue)) {
       lines.push(raw);
       continue;
     }
     const unit = (m[2] ?? "").trim();
-    const desc = (m[4] ?? "").trim();
-    const newValue = updates.get(mnemonic);
+    // A flipped WRAP flag must not keep describing the old layout.
+    const wrapChanged = mnemonic === "WRAP" && (m[3] ?? "").trim().toUpperCase() !== newValue;
+    const desc = wrapChanged ? wrapDescription(newValue) : (m[4] ?? "").trim();
 
     // Preserve basic shape
     lines.push(`${mnemonic}.${unit}  ${newValue} : ${desc}`.trimEnd());
   }
 
-  // Ensure updated keys exist if missing
+  // Ensure updated keys exist if missing (SPACE is the default delimiter and needs no DLM)
   for (const [k, v] of updates.entries()) {
     const present = sec.items.some(it => it.mnemonic.toUpperCase() === k);
-    if (!present) {
+    if (!present && !(k === "DLM" && v.toUpperCase() === "SPACE")) {
       const desc =
         (k === "NULL") ? "Null value" :
         (k === "DLM")  ? "Delimiter" :
-        (k === "WRAP") ? "One line per depth step" :
+        (k === "WRAP") ? wrapDescription(v) :
         (k === "VERS") ? "LAS version" : "";
       lines.push(`${k}.  ${v} : ${desc}`.trimEnd());
     }
@@ -541,6 +1326,81 @@ function rebuildKeyValueLines(las, sec, shortName) {
   return lines;
 }
 
+function sameHeaderValue(oldValue, newValue) {
+  if (oldValue.toUpperCase() === String(newValue).toUpperCase()) return true;
+  // "2.0" vs "2", "-999.2500" vs "-999.25"
+  const a = Number(oldValue);
+  return oldValue !== "" && Number.isFinite(a) && a === Number(newValue);
+}
+
+// ~W lines: untouched items keep their original text, edited ones are re-formatted,
+// removed ones are dropped and new ones are appended.
+function rebuildWellLines(las, sec) {
+  // NULL follows las.nullValue
+  if (las.nullValue != null) {
+    const item = las.well.get("NULL");
+    if (!item || parseFloat(item.valueRaw) !== las.nullValue) {
+      setWellItem(las, "NULL", { value: String(las.nullValue), desc: item?.desc || "Null value" });
+    }
+  }
+  return rebuildItemLines(sec, las.well);
+}
+
+// Same rules for any mnemonic -> item map (~W, a set's ~P).
+function rebuildItemLines(sec, items) {
+  const lines = [];
+  const written = new Set();
+
+  for (const raw of sec?.lines || []) {
+    const line = stripComment(raw).trimEnd();
+    const m = line.trim() ? line.match(KEY_VALUE_RE) : null;
+    if (!m) {
+      lines.push(raw);
+      continue;
+    }
+    const key = m[1].trim().toUpperCase();
+    const item = items.get(key);
+    if (!item) continue;
+    // Unedited: every source line stays, duplicates included.
+    if (item.rawLine) {
+      written.add(key);
+      lines.push(raw);
+      continue;
+    }
+    if (written.has(key)) continue;
+    written.add(key);
+    lines.push(formatKeyValueLine(item));
+  }
+
+  for (const [key, item] of items) {
+    if (!written.has(key)) lines.push(item.rawLine || formatKeyValueLine(item));
+  }
+
+  return lines;
+}
+
+function formatKeyValueLine(item) {
+  const mn = `${item.mnemonic}.${item.unit || ""}`.padEnd(10, " ");
+  return `${mn} ${(item.valueRaw || "").padEnd(24, " ")} : ${item.desc || ""}`.trimEnd();
+}
+
+// Header numbers keep the decimals of the value they replace (e.g. "1670.0000"),
+// unless that would round the value.
+function formatHeaderNumber(v, previous) {
+  const decimals = String(previous || "").match(/\.(\d+)\s*$/)?.[1].length;
+  const rounded = roundHeaderNumber(v);
+  if (decimals != null && Number(v.toFixed(decimals)) === rounded) return v.toFixed(decimals);
+  return String(rounded);
+}
+
+function roundHeaderNumber(v) {
+  return Number(v.toPrecision(12));
+}
+
+function wrapDescription(wrap) {
+  return wrap === "YES" ? "Multiple lines per depth step" : "One line per depth step";
+}
+
 function formatNumber(v, nullValue, precision) {
   // Export rules:
   // - null -> nullValue (if defined), else "NaN"
@@ -551,5 +1411,5 @@ function formatNumber(v, nullValue, precision) {
   }
   if (precision == null) return String(v);
   const s = v.toFixed(precision);
-  return (s === "-0.000" || s === "-0.00" || s === "-0.0") ? s.replace("-", "") : s;
+  return /^-0\.?0*$/.test(s) ? s.slice(1) : s;
 }
\ No newline at end of file
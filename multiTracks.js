@@ -8,8 +8,24 @@
 // Assumes:
 // - uPlot is loaded globally as `uPlot`
 // - `las` is from lasio.js and has `las.curves[]` with `.mnemonic`, `.unit`, `.data[]`
-// - Depth curve exists ("DEPT" or "DEPTH") and is numeric with nulls for gaps
+// - Depth curve exists ("DEPT" or "DEPTH", else the first curve) and is numeric with nulls for gaps
 // - This module is called only after LAS + TOPS are uploaded, so yMin/yMax are known.
+// - Resistivity and gamma tracks are styled by curve family (curveAliases.js), not by unit string.
+// - pickDepthInterval(onPick) turns the next drag on any track into a depth interval
+//   (onPick(top, base)) instead of a zoom; pickDepthPoint(onPick) turns the next click into
+//   a depth (onPick(depth, trackIndex)).
+// - setTrackEdit({ kind, onEdit }) turns drags on a track into edit gestures until
+//   setTrackEdit(null): kind "point" (press and release), "path" (every point of a freehand
+//   stroke) or "band" (a depth interval); onEdit({ trackIndex, mnemonic, points }) gets the
+//   points as [{ depth, value }] in curve units.
+// - setPreview(mnemonic, data) draws data (aligned with the depth curve) over every track
+//   showing mnemonic, e.g. a filter before it is applied; setPreview(null) removes it.
+
+import { CURVE_ALIASES, curveType } from "./curveAliases.js";
+import { POROSITY_MNEMONICS } from "./petrophysics.js";
+
+// Drawn on a log scale.
+const RESISTIVITY_TYPES = ["RESISTIVITY", "SHALLOW_RESISTIVITY"];
 
 export function initFourDepthTracks(las, {
   containerIds = ["graph1div", "graph2div", "graph3div", "graph4div","graph5div","graph6div","graph7div","graph8div"],
@@ -44,15 +60,18 @@ export function initFourDepthTracks(las, {
   
 
   // REQUIRED for tops-driven depth range:
-  // yMin = highestTop - 10, yMax = lowestTop + 10
+  // yMin = highestTop - padding, yMax = lowestTop + padding (10 m in the display unit, see units.js)
   yMin = window.topsData?.yMin?? las.curves[0].data[0],
   yMax = window.topsData?.yMax?? las.curves[0].data[las.curves[0].data.length-1],
+
+  curveAliases = CURVE_ALIASES,
 } = {}) {
-  const depthCurve = findCurve(las, depthMnemonicCandidates);
+  // LAS index curve is always first (e.g. CORT in a LAS 3.0 ~Core_Definition)
+  const depthCurve = findCurve(las, depthMnemonicCandidates) || las.curves[0];
   if (!depthCurve) throw new Error(`Depth curve not found (tried: ${depthMnemonicCandidates.join(", ")})`);
 
   if (!Number.isFinite(yMin) || !Number.isFinite(yMax))
-    throw new Error("initFourDepthTracks requires numeric yMin/yMax (from tops: highestTop-10, lowestTop+10).");
+    throw new Error("initFourDepthTracks requires numeric yMin/yMax (from tops: highestTop - padding, lowestTop + padding).");
 
 
   const curveChoices = las.curves
@@ -69,7 +88,12 @@ export function initFourDepthTracks(las, {
     curveChoices,
     yMin,
     yMax,
+    curveAliases,
     tracks: [],       // { id, root, selectEl, plotEl, uplot, selectedMnemonic }
+    depthPick: null,  // onPick(top, base) while a depth interval is being picked
+    depthPickPoint: false, // ... or onPick(depth, trackIndex) for a single click
+    preview: null,    // { mnemonic, data } drawn over the tracks showing mnemonic
+    trackEdit: null,  // { kind, onEdit } while hand-editing on the tracks
     yAxis: {          // shared y-axis plot
       divId: yAxisDivId,
       root: null,
@@ -130,6 +154,7 @@ export function initFourDepthTracks(las, {
       selectedMnemonic: "",
     };
     state.tracks.push(track);
+    bindDepthPick(state, track);
 
     // Hook change
     selectEl.addEventListener("change", () => {
@@ -169,6 +194,25 @@ export function initFourDepthTracks(las, {
       }
     },
     resize: () => resizeAll(state, { width, height }),
+    pickDepthInterval: (onPick) => setDepthPick(state, onPick),
+    pickDepthPoint: (onPick) => setDepthPick(state, onPick, { point: true }),
+    // Returns the number of tracks showing the preview.
+    setPreview: (mnemonic, data) => {
+      const redraw = new Set([state.preview?.mnemonic, mnemonic].filter(Boolean).map(m => m.toUpperCase()));
+      state.preview = mnemonic && data ? { mnemonic, data } : null;
+      let shown = 0;
+      state.tracks.forEach((t, i) => {
+        if (!redraw.has(t.selectedMnemonic.toUpperCase())) return;
+        setTrackCurve(state, i, t.selectedMnemonic, { width, height });
+        if (state.preview) shown++;
+      });
+      return shown;
+    },
+    cancelDepthPick: () => setDepthPick(state, null),
+    setTrackEdit: (edit) => {
+      state.trackEdit = edit || null;
+      if (!state.depthPick) for (const t of state.tracks) t.plotEl.style.cursor = edit ? "crosshair" : "";
+    },
     destroy: () => {
       window.removeEventListener("resize", onResize);
       for (const t of state.tracks) {
@@ -261,11 +305,14 @@ function setTrackCurve(state, trackIndex, mnemonic, { width, height }) {
 
   const w = width ?? track.plotEl.clientWidth ?? 400;
   const h = height;
+  const preview = state.preview?.mnemonic.toUpperCase() === mnemonic.toUpperCase() ? state.preview.data : null;
 
   const u = createDepthVsCurvePlot({
     target: track.plotEl,
     depthCurve: state.depthCurve,
     xCurve,
+    preview,
+    xType: curveType(xCurve, state.curveAliases),
     width: w,
     height: h,
     yMin: state.yMin,
@@ -290,15 +337,135 @@ function resizeAll(state, { width, height }) {
   }
 }
 
+function setDepthPick(state, onPick, { point = false } = {}) {
+  state.depthPick = onPick || null;
+  state.depthPickPoint = !!onPick && point;
+  const idle = state.trackEdit ? "crosshair" : "";
+  for (const t of state.tracks) t.plotEl.style.cursor = onPick ? (point ? "crosshair" : "row-resize") : idle;
+}
+
+// Capture-phase listeners on the track, so while picking uPlot never sees the drag.
+function bindDepthPick(state, track) {
+  track.plotEl.addEventListener("mousedown", (e) => {
+    const u = track.uplot;
+    if (!state.depthPick && state.trackEdit && u && e.button === 0) {
+      e.preventDefault();
+      e.stopPropagation();
+      trackEditGesture(state, track, e);
+      return;
+    }
+    if (!state.depthPick || !u || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = u.over.getBoundingClientRect();
+    const posOf = (ev) => Math.min(Math.max(ev.clientY - rect.top, 0), rect.height);
+    const start = posOf(e);
+
+    const band = document.createElement("div");
+    band.style.cssText = "position:absolute;left:0;right:0;background:rgba(212,163,115,0.35);pointer-events:none;";
+    u.over.appendChild(band);
+    const drawBand = (pos) => {
+      band.style.top = `${Math.min(start, pos)}px`;
+      band.style.height = `${Math.abs(pos - start)}px`;
+    };
+    drawBand(start);
+
+    const onMove = (ev) => drawBand(posOf(ev));
+    const onUp = (ev) => {
+      window.removeEventListener("mousemove", onMove, true);
+      window.removeEventListener("mouseup", onUp, true);
+      band.remove();
+
+      const end = posOf(ev);
+      const isClick = Math.abs(end - start) < 2;
+      const onPick = state.depthPick;
+      if (state.depthPickPoint) {
+        if (!isClick) return; // a drag, not a click: keep picking
+        setDepthPick(state, null);
+        onPick?.(u.posToVal(start, "x"), state.tracks.indexOf(track));
+        return;
+      }
+      if (isClick) return; // a click, not a drag: keep picking
+      const a = u.posToVal(start, "x");
+      const b = u.posToVal(end, "x");
+      setDepthPick(state, null);
+      onPick?.(Math.min(a, b), Math.max(a, b));
+    };
+    window.addEventListener("mousemove", onMove, true);
+    window.addEventListener("mouseup", onUp, true);
+  }, true);
+}
+
+// One hand-edit gesture, drawn as an SVG line over the plot until the mouse is released.
+function trackEditGesture(state, track, e) {
+  const u = track.uplot;
+  const { kind, onEdit } = state.trackEdit;
+  const rect = u.over.getBoundingClientRect();
+  const posOf = (ev) => ({
+    x: Math.min(Math.max(ev.clientX - rect.left, 0), rect.width),
+    y: Math.min(Math.max(ev.clientY - rect.top, 0), rect.height),
+  });
+  const positions = [posOf(e)];
+
+  const svgNs = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("width", rect.width);
+  svg.setAttribute("height", rect.height);
+  svg.style.cssText = "position:absolute;left:0;top:0;pointer-events:none;";
+  const line = document.createElementNS(svgNs, kind === "band" ? "rect" : "polyline");
+  line.setAttribute("fill", kind === "band" ? "rgba(31,95,191,0.25)" : "none");
+  line.setAttribute("stroke", "#1f5fbf");
+  line.setAttribute("stroke-width", "2");
+  svg.appendChild(line);
+  u.over.appendChild(svg);
+
+  const draw = () => {
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (kind === "band") {
+      line.setAttribute("x", 0);
+      line.setAttribute("width", rect.width);
+      line.setAttribute("y", Math.min(first.y, last.y));
+      line.setAttribute("height", Math.abs(last.y - first.y));
+      return;
+    }
+    const shown = kind === "point" ? [first, last] : positions;
+    line.setAttribute("points", shown.map(p => `${p.x},${p.y}`).join(" "));
+  };
+  draw();
+
+  const onMove = (ev) => {
+    const p = posOf(ev);
+    if (kind === "path") positions.push(p);
+    else positions[1] = p;
+    draw();
+  };
+  const onUp = (ev) => {
+    window.removeEventListener("mousemove", onMove, true);
+    window.removeEventListener("mouseup", onUp, true);
+    svg.remove();
+    onMove(ev);
+
+    // Depth is on scale "x" (vertical), the curve value on scale "y" (horizontal).
+    const points = positions.map(p => ({ depth: u.posToVal(p.y, "x"), value: u.posToVal(p.x, "y") }));
+    onEdit?.({ trackIndex: state.tracks.indexOf(track), mnemonic: track.selectedMnemonic, points });
+  };
+  window.addEventListener("mousemove", onMove, true);
+  window.addEventListener("mouseup", onUp, true);
+}
+
 function findCurve(las, mnemonicCandidates) {
   const set = new Set(mnemonicCandidates.map(s => s.toUpperCase()));
   return las.curves.find(c => set.has(c.mnemonic.toUpperCase()));
 }
 
 // Line plots (depth on y, curve on x), depth-sorted, null gaps break the line.
-function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMin, yMax }) {
+// preview (optional) is a second series aligned with depth, drawn dashed on top.
+function createDepthVsCurvePlot({ target, depthCurve, xCurve, preview = null, xType, width, height, yMin, yMax }) {
   const depth = depthCurve.data;
   const x = xCurve.data;
+  const finiteOrNull = (v) => (v != null && Number.isFinite(v)) ? v : null;
 
   const triples = [];
   const n = Math.min(depth.length, x.length);
@@ -310,7 +477,7 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
     const dOk = (d != null && Number.isFinite(d));
     const xOk = (xv != null && Number.isFinite(xv));
 
-    if (dOk) triples.push([d, xOk ? xv : null]);
+    if (dOk) triples.push([d, xOk ? xv : null, preview ? finiteOrNull(preview[i]) : null]);
   }
 
   triples.sort((a, b) => a[0] - b[0]);
@@ -324,6 +491,7 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
   }
 
   const data = [ys, xs];
+  if (preview) data.push(triples.map(t => t[2]));
 
   let tops = []
   if(window.topsData) {
@@ -356,7 +524,7 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
             scale: "y",
             side:2, 
             size: 50,
-            splits: xCurve.unit != "OHMM" ? (u, i, min, max) => [min, max] : "",
+            splits: !RESISTIVITY_TYPES.includes(xType) ? (u, i, min, max) => [min, max] : "",
         }
       // x-axis only; y-axis is shared in #yAxisDiv
       //{ scale: "x", label: `${xCurve.mnemonic}${xCurve.unit ? ` (${xCurve.unit})` : ""}` },
@@ -380,7 +548,7 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
     legend: { show: false },
     cursor: { x: true, y: true, drag: {x: false, y: true} },
   };
-  if(xCurve.mnemonic == "DPHIX") {
+  if(POROSITY_MNEMONICS.includes(xCurve.mnemonic)) {
     opts.scales.y.dir = -1;
     opts.scales.y.min = -5;
     opts.scales.y.max = 15;
@@ -389,7 +557,15 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
     opts.series[1].stroke = "#666600"
     opts.series[1].fill = "#AAAA33"
   }
-  if(xCurve.unit == "OHMM") {
+  if(xCurve.mnemonic == "VSH") {
+    opts.scales.y.min = 0;
+    opts.scales.y.max = 100;
+    opts.series[1].width = 1;
+    opts.series[1].fillTo = 0;
+    opts.series[1].stroke = "#7F5539"
+    opts.series[1].fill = "#B08968"
+  }
+  if(RESISTIVITY_TYPES.includes(xType)) {
     opts.scales.y.min = 1;
     opts.scales.y.max = 10000;
     opts.scales.y.distr = 3;
@@ -413,13 +589,23 @@ function createDepthVsCurvePlot({ target, depthCurve, xCurve, width, height, yMi
       });
     };
   }
-  if(xCurve.unit == "GAPI") {
+  if(xType == "GAMMA") {
     opts.scales.y.min = 30;
     opts.scales.y.max = 130;
     opts.series[1].stroke = "#006600"
     opts.series[1].fill = "#33CC33";
     opts.series[1].fillTo = parseFloat(document.getElementById("grCutoff").value);
   }
+  if (preview) {
+    opts.series.push({
+      label: "Preview",
+      points: { show: false },
+      spanGaps: false,
+      stroke: "#1f5fbf",
+      width: 1.5,
+      dash: [6, 3],
+    });
+  }
  
   return new uPlot(opts, data, target);
 }
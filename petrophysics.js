@@ -0,0 +1,444 @@
+// petrophysics.js
+// DOM-free petrophysics shared by the Petrophysics panel (curveEditor.js) and the batch
+// CLI (lasBatch.js):
+// - DPHIX: density porosity in %, from bulk density with matrix / fluid density in kg/m3
+// - NDPHI / SPHI: neutron-density or sonic porosity in %, when POROSITY_MODELS picks one
+// - PHIE: shale-corrected effective porosity in %, PHI * (1 - VSH)
+// - SWARCH: Archie water saturation in %, from the porosity the model (and shale correction)
+//   selects (swPorosityMnemonic), NULL where that porosity is below the cutoff
+// - SWSIM / SWMSIM / SWINDO / SWDW: shaly-sand water saturation (SW_MODELS) in %, from the
+//   same porosity and a Vsh curve; each model writes its own curve so they can be compared
+// - VSH: shale volume in %, from the gamma-ray index IGR = (GR - GRclean) / (GRshale - GRclean)
+//   through one of VSH_METHODS; blank GR clean / shale values are the gamma curve's P5 / P95
+// Density curves in g/cc are scaled to kg/m3, neutron to V/V and sonic to us/ft through the
+// alias table (curveAliases.js).
+// Zones ({ name, top, base, params }, zoneParams.js) override ZONE_PARAM_KEYS of the run
+// between their top and base.
+
+import { CURVE_ALIASES, rankCurves, canonicalFactor } from "./curveAliases.js";
+
+// Same defaults as the Petrophysics panel inputs.
+export const DEFAULT_PETRO_PARAMS = {
+  pma: 2710,
+  pf: 1000,
+  rw: 0.026,
+  n: 1.6,
+  m: 1.92,
+  cutoff: 2,
+  vshMethod: "linear",
+  grClean: null, // null: VSH_PERCENTILES of the gamma curve
+  grShale: null,
+  porosityModel: "density",
+  dtma: 55.5, // us/ft, sandstone
+  dtf: 189,
+  shaleCorrection: false,
+  swModel: "archie",
+  a: 1,
+  vshMnemonic: "VSH", // Vsh source of the shaly-sand models, in % or V/V
+  rsh: 2, // ohm.m
+  rwb: 0.08, // ohm.m, bound water
+  phiSh: 25, // %, total porosity of the shale
+};
+
+// Parameters a zone can override.
+export const ZONE_PARAM_KEYS = ["pma", "pf", "rw", "a", "m", "n", "cutoff"];
+
+// Water saturation models. params: the model's inputs besides Rw, a, m and n.
+export const SW_MODELS = {
+  archie: { label: "Archie", mnemonic: "SWARCH", params: [] },
+  simandoux: { label: "Simandoux", mnemonic: "SWSIM", params: ["vsh", "rsh"] },
+  modSimandoux: { label: "Modified Simandoux", mnemonic: "SWMSIM", params: ["vsh", "rsh"] },
+  indonesia: { label: "Indonesia", mnemonic: "SWINDO", params: ["vsh", "rsh"] },
+  dualWater: { label: "Dual water", mnemonic: "SWDW", params: ["vsh", "rwb", "phiSh"] },
+};
+
+// Porosity fed to SWARCH and the zonal stats. Each model writes its curve (in %) from
+// fractions of the inputs: phiD density, phiN neutron (V/V), dt sonic slowness (us/ft).
+export const POROSITY_MODELS = {
+  density: { label: "Density", mnemonic: "DPHIX", inputs: ["density"] },
+  ndRms: { label: "Neutron-density (RMS)", mnemonic: "NDPHI", inputs: ["density", "neutron"] },
+  ndGas: { label: "Neutron-density (gas-corrected)", mnemonic: "NDPHI", inputs: ["density", "neutron"] },
+  wyllie: { label: "Sonic (Wyllie)", mnemonic: "SPHI", inputs: ["sonic"] },
+  rhg: { label: "Sonic (Raymer-Hunt-Gardner)", mnemonic: "SPHI", inputs: ["sonic"] },
+};
+
+// Every porosity curve computePetroCurves may write, for track styling.
+export const POROSITY_MNEMONICS = ["DPHIX", "NDPHI", "SPHI", "PHIE"];
+
+// Raymer-Hunt-Gardner field approximation: phi = C * (dt - dtma) / dt.
+const RHG_C = 0.625;
+
+// Gamma-ray index IGR (0-1) -> shale volume (0-1).
+export const VSH_METHODS = {
+  linear: { label: "Linear", transform: igr => igr },
+  larionovTertiary: { label: "Larionov (Tertiary)", transform: igr => 0.083 * (2 ** (3.7 * igr) - 1) },
+  larionovOlder: { label: "Larionov (older rocks)", transform: igr => 0.33 * (2 ** (2 * igr) - 1) },
+  clavier: { label: "Clavier", transform: igr => 1.7 - Math.sqrt(Math.max(0, 3.38 - (igr + 0.7) ** 2)) },
+  steiber: { label: "Steiber", transform: igr => igr / (3 - 2 * igr) },
+};
+
+// Percentiles of the gamma curve taken as GR clean / GR shale when none are entered.
+export const VSH_PERCENTILES = [5, 95];
+
+/**
+ * Best candidate mnemonic of a curve type ("DENSITY", "RESISTIVITY", ...) or "" when none.
+ */
+export function pickCurve(las, type, aliases = CURVE_ALIASES) {
+  return rankCurves(las.curves, type, aliases)[0]?.mnemonic ?? "";
+}
+
+/**
+ * Percentiles (0-100) of a curve's values with top <= depth <= base (null = open-ended),
+ * interpolated between ranks. NaN each when the interval holds no values.
+ */
+export function curvePercentiles(las, mnemonic, percentiles, { top = null, base = null } = {}) {
+  const curve = findCurve(las, mnemonic);
+  if (!curve) throw new Error(`Curve not found: ${mnemonic}`);
+  if (Array.isArray(curve.data)) throw new Error(`${curve.mnemonic} is not a numeric curve`);
+  const index = las.curves[0].data;
+  const lo = Math.min(top ?? -Infinity, base ?? Infinity);
+  const hi = Math.max(top ?? -Infinity, base ?? Infinity);
+  const sorted = [];
+  for (let i = 0; i < curve.data.length; i++) {
+    if (Number.isFinite(curve.data[i]) && index[i] >= lo && index[i] <= hi) sorted.push(curve.data[i]);
+  }
+  sorted.sort((a, b) => a - b);
+  return percentiles.map(p => percentile(sorted, p));
+}
+
+/**
+ * GR clean / GR shale of a run: the given values, or VSH_PERCENTILES of the gamma curve.
+ */
+export function gammaEndpoints(las, gammaMnemonic, { grClean = null, grShale = null } = {}) {
+  const picked = grClean == null || grShale == null
+    ? curvePercentiles(las, gammaMnemonic, VSH_PERCENTILES)
+    : [];
+  return { grClean: grClean ?? picked[0], grShale: grShale ?? picked[1] };
+}
+
+/**
+ * Shale volume (0-1) of every gamma value, clipped to 0-1. NULLs stay NULL.
+ */
+export function shaleVolume(gr, { grClean, grShale, method = "linear" }) {
+  const spec = VSH_METHODS[method];
+  if (!spec) throw new Error(`Unknown Vsh method: ${method}`);
+  if (!Number.isFinite(grClean) || !Number.isFinite(grShale) || grShale <= grClean) {
+    throw new Error("GR shale must be greater than GR clean.");
+  }
+  return Float64Array.from(gr, v => {
+    if (v == null || !Number.isFinite(v)) return NaN;
+    const igr = Math.min(1, Math.max(0, (v - grClean) / (grShale - grClean)));
+    return Math.min(1, Math.max(0, spec.transform(igr)));
+  });
+}
+
+/**
+ * Mnemonic of the porosity SWARCH and the zonal stats use: PHIE when shale-corrected.
+ */
+export function swPorosityMnemonic({ porosityModel = DEFAULT_PETRO_PARAMS.porosityModel, shaleCorrection = false } = {}) {
+  if (shaleCorrection) return "PHIE";
+  return POROSITY_MODELS[porosityModel]?.mnemonic ?? "DPHIX";
+}
+
+/**
+ * Mnemonic of the water saturation the zonal stats use.
+ */
+export function swMnemonic({ swModel = DEFAULT_PETRO_PARAMS.swModel } = {}) {
+  return SW_MODELS[swModel]?.mnemonic ?? "SWARCH";
+}
+
+/**
+ * Water saturation (fraction) of one sample. phi and vsh are fractions, rt in ohm.m.
+ * Archie and Indonesia are closed-form; the others solve the model's conductivity equation
+ * for Sw by bisection. Like Archie, results are not clipped at 1. Dual water returns the
+ * total saturation, with bound-water saturation Swb = Vsh * phiSh / phi.
+ */
+export function waterSaturation(model, { phi, rt, vsh = NaN }, {
+  rw = DEFAULT_PETRO_PARAMS.rw,
+  a = DEFAULT_PETRO_PARAMS.a,
+  m = DEFAULT_PETRO_PARAMS.m,
+  n = DEFAULT_PETRO_PARAMS.n,
+  rsh = DEFAULT_PETRO_PARAMS.rsh,
+  rwb = DEFAULT_PETRO_PARAMS.rwb,
+  phiSh = DEFAULT_PETRO_PARAMS.phiSh,
+} = {}) {
+  if (!(phi > 0) || !(rt > 0)) return NaN;
+  if (model === "archie") return (a * rw / (phi ** m * rt)) ** (1 / n);
+  if (!Number.isFinite(vsh)) return NaN;
+
+  const ct = 1 / rt;
+  const phiM = phi ** m;
+  switch (model) {
+    case "simandoux":
+      return solveSw(sw => phiM * sw ** n / (a * rw) + vsh * sw / rsh, ct);
+    case "modSimandoux":
+      if (vsh >= 1) return NaN;
+      return solveSw(sw => phiM * sw ** n / (a * rw * (1 - vsh)) + vsh * sw / rsh, ct);
+    case "indonesia": {
+      const k = vsh ** (1 - vsh / 2) / Math.sqrt(rsh) + Math.sqrt(phiM / (a * rw));
+      return (Math.sqrt(ct) / k) ** (2 / n);
+    }
+    case "dualWater": {
+      const swb = Math.min(1, vsh * (phiSh / 100) / phi);
+      const cw = 1 / rw;
+      const cwb = 1 / rwb;
+      return solveSw(sw => phiM * sw ** n / a * (cw + (swb / sw) * (cwb - cw)), ct, swb);
+    }
+    default:
+      throw new Error(`Unknown Sw model: ${model}`);
+  }
+}
+
+/**
+ * Add (or recompute) the porosity curves, SWARCH and VSH in las.curves.
+ * VSH is computed whenever a gamma curve is given, DPHIX whenever a density curve is.
+ * Returns false when the porosity model is missing an input: the model's porosity, PHIE
+ * and the Sw curves already in las are then set to NULL, so nothing pairs a stale Sw with
+ * the selected porosity. Without a resistivity curve SWARCH is all NULL, and a shale
+ * correction without a gamma curve gives an all-NULL PHIE.
+ * SWARCH, the swModel curve and any other SW_MODELS curve already in las are recomputed;
+ * the shaly-sand ones are all NULL without the vshMnemonic curve.
+ * zones: [{ name, top, base, params }]; samples with top <= depth < base (base null: to
+ * the bottom) are computed with the zone's params over the others.
+ */
+export function computePetroCurves(las, { zones = [], ...params } = {}) {
+  const computed = computeCurves(las, params);
+  if (!computed) return false;
+
+  const index = las.curves[0].data;
+  for (const zone of zones) {
+    // The zone's run on a copy of the curve list; its outputs are spliced in by depth.
+    const copy = { ...las, curves: las.curves.map(c => ({ ...c })) };
+    computeCurves(copy, { ...params, ...zone.params });
+    const inZone = (d) => d >= zone.top && (zone.base == null || d < zone.base);
+    copy.curves.forEach((c, k) => {
+      const target = las.curves[k];
+      if (!target || c.data === target.data) return;
+      target.data = Float64Array.from(target.data, (v, i) => (inZone(index[i]) ? c.data[i] : v));
+    });
+  }
+  return true;
+}
+
+function computeCurves(las, {
+  densityMnemonic = "",
+  resistivityMnemonic = "",
+  gammaMnemonic = "",
+  neutronMnemonic = "",
+  sonicMnemonic = "",
+  pma = DEFAULT_PETRO_PARAMS.pma,
+  pf = DEFAULT_PETRO_PARAMS.pf,
+  rw = DEFAULT_PETRO_PARAMS.rw,
+  n = DEFAULT_PETRO_PARAMS.n,
+  m = DEFAULT_PETRO_PARAMS.m,
+  cutoff = DEFAULT_PETRO_PARAMS.cutoff,
+  vshMethod = DEFAULT_PETRO_PARAMS.vshMethod,
+  grClean = DEFAULT_PETRO_PARAMS.grClean,
+  grShale = DEFAULT_PETRO_PARAMS.grShale,
+  porosityModel = DEFAULT_PETRO_PARAMS.porosityModel,
+  dtma = DEFAULT_PETRO_PARAMS.dtma,
+  dtf = DEFAULT_PETRO_PARAMS.dtf,
+  shaleCorrection = DEFAULT_PETRO_PARAMS.shaleCorrection,
+  swModel = DEFAULT_PETRO_PARAMS.swModel,
+  a = DEFAULT_PETRO_PARAMS.a,
+  vshMnemonic = DEFAULT_PETRO_PARAMS.vshMnemonic,
+  rsh = DEFAULT_PETRO_PARAMS.rsh,
+  rwb = DEFAULT_PETRO_PARAMS.rwb,
+  phiSh = DEFAULT_PETRO_PARAMS.phiSh,
+  aliases = CURVE_ALIASES,
+} = {}) {
+  const model = POROSITY_MODELS[porosityModel];
+  if (!model) throw new Error(`Unknown porosity model: ${porosityModel}`);
+  if (!SW_MODELS[swModel]) throw new Error(`Unknown Sw model: ${swModel}`);
+
+  const gSrc = findCurve(las, gammaMnemonic);
+  if (gSrc && !Array.isArray(gSrc.data)) {
+    // A gamma curve without spread (or with no values) gives an all-NULL VSH.
+    const ends = gammaEndpoints(las, gSrc.mnemonic, { grClean, grShale });
+    const vsh = ends.grShale > ends.grClean
+      ? shaleVolume(gSrc.data, { ...ends, method: vshMethod }).map(v => 100 * v)
+      : new Float64Array(gSrc.data.length).fill(NaN);
+    setCurve(las, gSrc, "VSH", `Shale volume, ${VSH_METHODS[vshMethod]?.label ?? vshMethod}`, vsh);
+  }
+
+  const dSrc = findCurve(las, densityMnemonic);
+  let dphi = null;
+  if (dSrc) {
+    // Pma / Pf are in kg/m3; density logged in g/cc is scaled to match.
+    const dFactor = canonicalFactor(dSrc, "DENSITY", aliases);
+    dphi = Float64Array.from(dSrc.data || [], v =>
+      (v == null || !Number.isFinite(v) ? NaN : 100 * (pma - v * dFactor) / (pma - pf)));
+    setCurve(las, dSrc, "DPHIX", "Porosity from bulk density", dphi);
+  }
+
+  const nSrc = findCurve(las, neutronMnemonic);
+  const sSrc = findCurve(las, sonicMnemonic);
+  const sources = { density: dSrc, neutron: nSrc, sonic: sSrc };
+  if (model.inputs.some(k => !sources[k] || Array.isArray(sources[k].data))) {
+    const stale = [model.mnemonic, "PHIE", ...Object.values(SW_MODELS).map(s => s.mnemonic)];
+    for (const c of las.curves) {
+      if (stale.includes(c.mnemonic.toUpperCase()) && !Array.isArray(c.data)) {
+        c.data = new Float64Array(c.data.length).fill(NaN);
+      }
+    }
+    return false;
+  }
+
+  let phi = dphi;
+  if (model.inputs.includes("neutron")) {
+    const nFactor = canonicalFactor(nSrc, "NEUTRON", aliases);
+    phi = Float64Array.from(dphi, (d, i) => {
+      const phiD = d / 100;
+      const phiN = nSrc.data[i] * nFactor;
+      if (!Number.isFinite(phiD) || !Number.isFinite(phiN)) return NaN;
+      const rms = Math.sqrt((phiN ** 2 + phiD ** 2) / 2);
+      // Gas: density porosity reads above neutron porosity (crossover).
+      if (porosityModel === "ndGas" && phiD <= phiN) return 100 * (phiN + phiD) / 2;
+      return 100 * rms;
+    });
+    setCurve(las, dSrc, "NDPHI", `Porosity, ${model.label}`, phi);
+  } else if (model.inputs.includes("sonic")) {
+    const sFactor = canonicalFactor(sSrc, "SONIC", aliases);
+    phi = Float64Array.from(sSrc.data, v => {
+      const dt = v * sFactor;
+      if (!Number.isFinite(dt) || dt <= 0) return NaN;
+      return 100 * (porosityModel === "rhg" ? RHG_C * (dt - dtma) / dt : (dt - dtma) / (dtf - dtma));
+    });
+    setCurve(las, sSrc, "SPHI", `Porosity, ${model.label}`, phi);
+  }
+
+  if (shaleCorrection) {
+    const vsh = findCurve(las, "VSH");
+    phi = Float64Array.from(phi, (v, i) => (gSrc && vsh ? v * (1 - vsh.data[i] / 100) : NaN));
+    setCurve(las, sources[model.inputs[0]], "PHIE", `Effective porosity, ${model.label} x (1 - VSH)`, phi);
+  }
+
+  const rData = findCurve(las, resistivityMnemonic)?.data || [];
+  const vshCurve = findCurve(las, vshMnemonic);
+  const vshData = vshCurve && !Array.isArray(vshCurve.data) ? vshCurve.data : [];
+  const vshFactor = String(vshCurve?.unit || "").trim() === "%" ? 0.01 : 1;
+  const swParams = { rw, a, m, n, rsh, rwb, phiSh };
+  const swModels = Object.keys(SW_MODELS)
+    .filter(k => k === "archie" || k === swModel || findCurve(las, SW_MODELS[k].mnemonic));
+  for (const k of swModels) {
+    const swData = Float64Array.from(phi, (p, i) => {
+      if (!Number.isFinite(p) || p < cutoff) return NaN;
+      const sample = { phi: p / 100, rt: rData[i], vsh: (vshData[i] ?? NaN) * vshFactor };
+      return 100 * waterSaturation(k, sample, swParams);
+    });
+    const description = k === "archie" ? "Water saturation" : `Water saturation, ${SW_MODELS[k].label}`;
+    setCurve(las, sources[model.inputs[0]], SW_MODELS[k].mnemonic, description, swData);
+  }
+  return true;
+}
+
+/**
+ * Audit trail details of a run (lasio.js logEdit):
+ * "DPHIX, SWARCH from RHOB, ILD: Pma=2710 Pf=1000 Rw=0.026 n=1.6 m=1.92 cutoff=2", with the
+ * model's curve, its inputs and parameters for other porosity models, then
+ * "; VSH from GR: Linear GRclean=P5 GRshale=P95" when a gamma curve is given.
+ */
+export function describePetroRun({
+  densityMnemonic = "",
+  resistivityMnemonic = "",
+  gammaMnemonic = "",
+  neutronMnemonic = "",
+  sonicMnemonic = "",
+  zones = [],
+  ...params
+} = {}) {
+  const p = { ...DEFAULT_PETRO_PARAMS, ...params };
+  const model = POROSITY_MODELS[p.porosityModel] ?? POROSITY_MODELS.density;
+  const inputs = { density: densityMnemonic, neutron: neutronMnemonic, sonic: sonicMnemonic };
+  const parts = [];
+  if (model.inputs.every(k => inputs[k])) {
+    const curves = [...new Set([densityMnemonic && "DPHIX", model.mnemonic, p.shaleCorrection && "PHIE", "SWARCH"])];
+    const used = [densityMnemonic, ...model.inputs.map(k => inputs[k]), resistivityMnemonic];
+    const settings = [];
+    if (p.porosityModel !== "density") settings.push(`porosity=${model.label}`);
+    if (densityMnemonic) settings.push(`Pma=${p.pma} Pf=${p.pf}`);
+    if (model.inputs.includes("sonic")) settings.push(`dtma=${p.dtma} dtf=${p.dtf}`);
+    settings.push(`Rw=${p.rw} n=${p.n} m=${p.m}${p.a === 1 ? "" : ` a=${p.a}`} cutoff=${p.cutoff}`);
+    if (p.shaleCorrection) settings.push("shale-corrected");
+    const sw = SW_MODELS[p.swModel];
+    if (sw && p.swModel !== "archie") {
+      curves.push(sw.mnemonic);
+      const values = { vsh: `Vsh=${p.vshMnemonic}`, rsh: `Rsh=${p.rsh}`, rwb: `Rwb=${p.rwb}`, phiSh: `PHIsh=${p.phiSh}` };
+      settings.push(`sw=${sw.label} ${sw.params.map(k => values[k]).join(" ")}`);
+    }
+    parts.push(`${curves.filter(Boolean).join(", ")} from ${[...new Set(used.filter(Boolean))].join(", ")}: ${settings.join(" ")}`);
+  } else if (densityMnemonic) {
+    parts.push(`DPHIX from ${densityMnemonic}: Pma=${p.pma} Pf=${p.pf}`);
+  }
+  if (gammaMnemonic) {
+    const [lo, hi] = VSH_PERCENTILES;
+    parts.push(`VSH from ${gammaMnemonic}: ${VSH_METHODS[p.vshMethod]?.label ?? p.vshMethod}` +
+      ` GRclean=${p.grClean ?? `P${lo}`} GRshale=${p.grShale ?? `P${hi}`}`);
+  }
+  for (const zone of zones) parts.push(`zone ${zone.name}: ${describeZoneParams(zone.params)}`);
+  return parts.join("; ");
+}
+
+/**
+ * "Pma=2650 Rw=0.03" for a zone's overrides, "defaults" when there are none.
+ */
+export function describeZoneParams(params = {}) {
+  const names = { pma: "Pma", pf: "Pf", rw: "Rw", cutoff: "cutoff" };
+  const text = ZONE_PARAM_KEYS
+    .filter(k => params[k] != null)
+    .map(k => `${names[k] ?? k}=${params[k]}`)
+    .join(" ");
+  return text || "defaults";
+}
+
+// Sw with conductivity(Sw) = ct, for a conductivity increasing with Sw, searched from lo up.
+function solveSw(conductivity, ct, lo = 0) {
+  if (!(conductivity(Math.max(lo, 1e-9)) < ct)) return lo;
+  let hi = 1;
+  while (conductivity(hi) < ct) {
+    hi *= 2;
+    if (hi > 1e6) return NaN;
+  }
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (conductivity(mid) < ct) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Computed curves are written with the source's column width and at least 4 decimals; a
+// curve read from the file keeps its own layout.
+function setCurve(las, src, mnemonic, description, data) {
+  const layout = { width: src.layout?.width ?? 0, decimals: Math.max(src.layout?.decimals ?? 0, 4) };
+  const existing = findCurve(las, mnemonic);
+  if (existing) {
+    existing.data = data;
+    existing.description = description;
+    if (!existing.layout) existing.layout = layout;
+    return;
+  }
+  las.curves.push({
+    mnemonic,
+    unit: "%",
+    api: src.api || "",
+    code: src.code || "",
+    description,
+    rawLine: "",
+    data,
+    layout,
+  });
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const i = Math.floor(rank);
+  return i + 1 < sorted.length ? sorted[i] + (rank - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+}
+
+function findCurve(las, mnemonic) {
+  const up = String(mnemonic || "").trim().toUpperCase();
+  if (!up) return null;
+  return las.curves.find(c => c.mnemonic.toUpperCase() === up) || null;
+}
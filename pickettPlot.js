@@ -0,0 +1,460 @@
+// pickettPlot.js
+// Pickett plot: porosity against deep resistivity on log-log axes, where Archie's
+// Rt = a * Rw / (phi^m * Sw^n) draws each Sw as a straight line.
+// - the 100% Sw (water) line has a handle at each end: dragging one pivots the line about
+//   the other (Rw and m), dragging the line itself shifts it (Rw only)
+// - the handle on the 50% line sets the spacing of the Sw lines (n)
+// Points are colored by zone (tops) or by a third curve. While dragging, Rw, m and n go into
+// #rwInput / #mInput / #nInput with a "preview" event (at most every PREVIEW_MS), so
+// curveEditor.js recomputes SWARCH live; the "change" on release makes the drag one
+// undoable edit. a stays as typed (#aInput). The lines use the panel values: zones with
+// their own Rw / a / m / n (zoneParams.js) are named in the summary as not following them.
+// - pickettPoints / pickettResistivity / waterLineParams / saturationExponent are DOM-free
+// - bindPickettPlot() wires the Pickett Plot modal (uPlot for the axes)
+
+import { swPorosityMnemonic, curvePercentiles } from "./petrophysics.js";
+
+// Sw lines drawn; the spacing handle sits on PICKETT_SPACING_SW.
+export const PICKETT_SW_LINES = [1, 0.75, 0.5, 0.3, 0.2];
+export const PICKETT_SPACING_SW = 0.5;
+
+const PHI_RANGE = [0.01, 1];
+const HANDLE_PHI = [0.05, 0.3, 0.15]; // water line ends, spacing handle
+const HANDLE_RADIUS = 6; // CSS px
+const ZONE_COLORS = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#17becf"];
+const RAMP_STEPS = 16;
+const PREVIEW_MS = 150;
+const SW_PARAM_KEYS = ["rw", "a", "m", "n"];
+
+/**
+ * Samples with porosity > 0 and Rt > 0: { row, depth, phi, rt } arrays, phi as a fraction
+ * (curves in "%" are scaled by 0.01).
+ */
+export function pickettPoints(las, { porosityMnemonic, resistivityMnemonic }) {
+  const phiCurve = findCurve(las, porosityMnemonic);
+  const rtCurve = findCurve(las, resistivityMnemonic);
+  if (!phiCurve) throw new Error(`Curve not found: ${porosityMnemonic}`);
+  if (!rtCurve) throw new Error(`Curve not found: ${resistivityMnemonic}`);
+  const scale = phiCurve.unit === "%" ? 0.01 : 1;
+  const index = las.curves[0].data;
+  const out = { row: [], depth: [], phi: [], rt: [] };
+  for (let i = 0; i < index.length; i++) {
+    const phi = phiCurve.data[i] * scale;
+    const rt = rtCurve.data[i];
+    if (!(phi > 0) || !(rt > 0)) continue;
+    out.row.push(i);
+    out.depth.push(index[i]);
+    out.phi.push(phi);
+    out.rt.push(rt);
+  }
+  return out;
+}
+
+/**
+ * Rt of the Sw line at porosity phi (fractions).
+ */
+export function pickettResistivity(phi, sw, { rw, a = 1, m, n }) {
+  return a * rw / (phi ** m * sw ** n);
+}
+
+/**
+ * Rw and m of the 100% Sw line through two { phi, rt } points.
+ */
+export function waterLineParams(p1, p2, a = 1) {
+  const dPhi = Math.log(p2.phi / p1.phi);
+  if (!Number.isFinite(dPhi) || Math.abs(dPhi) < 1e-6) throw new Error("The water line points need different porosities.");
+  const m = -Math.log(p2.rt / p1.rt) / dPhi;
+  return { rw: p1.rt * p1.phi ** m / a, m };
+}
+
+/**
+ * n that puts the Sw line through { phi, rt } (0 < sw < 1), given the water line.
+ */
+export function saturationExponent({ phi, rt }, sw, { rw, a = 1, m }) {
+  if (!(sw > 0 && sw < 1)) throw new Error("Sw must be between 0 and 1.");
+  const ro = pickettResistivity(phi, 1, { rw, a, m, n: 1 });
+  return Math.log(rt / ro) / -Math.log(sw);
+}
+
+export function bindPickettPlot({
+  lasGetter = () => window.las,
+  topsGetter = () => window.topsData,
+  zonesGetter = () => [], // zoneParams.js petroZones
+  openBtnId = "pickettButton",
+  modalId = "pickettModal",
+  closeBtnId = "pickettClose",
+  colorSelectId = "pickettColor",
+  summaryId = "pickettSummary",
+  plotId = "pickettPlot",
+  legendId = "pickettLegend",
+  resistivitySelectorId = "resistivitySelector",
+  porosityModelSelectorId = "porosityModelSelector",
+  shaleCorrectionInputId = "shaleCorrectionInput",
+  rwInputId = "rwInput",
+  mInputId = "mInput",
+  nInputId = "nInput",
+  aInputId = "aInput",
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const closeBtn = mustEl(closeBtnId);
+  const colorSel = mustEl(colorSelectId);
+  const summary = mustEl(summaryId);
+  const plotEl = mustEl(plotId);
+  const legendEl = mustEl(legendId);
+
+  let plot = null;
+  let points = null; // pickettPoints + { porosityMnemonic, resistivityMnemonic, colors }
+  let params = null; // { rw, a, m, n }
+  let handles = null; // porosities of the water line handles
+
+  function openModal() {
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    const porosityMnemonic = swPorosityMnemonic({
+      porosityModel: mustEl(porosityModelSelectorId).value,
+      shaleCorrection: mustEl(shaleCorrectionInputId).checked,
+    });
+    const resistivityMnemonic = mustEl(resistivitySelectorId).value;
+    if (!resistivityMnemonic) {
+      alert("Select a resistivity curve first.");
+      return;
+    }
+    try {
+      points = { ...pickettPoints(las, { porosityMnemonic, resistivityMnemonic }), porosityMnemonic, resistivityMnemonic };
+    } catch (err) {
+      alert(`${String(err?.message ?? err)}. Compute the porosity in the Petrophysics panel first.`);
+      return;
+    }
+    if (!points.phi.length) {
+      alert(`No samples with both ${porosityMnemonic} and ${resistivityMnemonic} above zero.`);
+      return;
+    }
+
+    params = {
+      rw: inputValue(rwInputId),
+      a: inputValue(aInputId),
+      m: inputValue(mInputId),
+      n: inputValue(nInputId),
+    };
+    if (!Object.values(params).every(v => v > 0)) {
+      alert("Rw, a, m and n must be positive numbers.");
+      return;
+    }
+    handles = HANDLE_PHI.slice(0, 2);
+
+    populateColorSelector(colorSel, las, topsGetter());
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+    draw();
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+    plot?.destroy();
+    plot = null;
+    points = null;
+  }
+
+  function showSummary() {
+    const { rw, a, m, n } = params;
+    summary.textContent = `${points.porosityMnemonic} vs ${points.resistivityMnemonic}, ${points.phi.length} samples. `
+      + `Rw = ${round(rw)}, m = ${round(m)}, n = ${round(n)}${a === 1 ? "" : ` (a = ${a})`}. `
+      + "Drag the 100% line or its handles for Rw and m, the 50% handle for n."
+      + ownParamsNote(zonesGetter());
+  }
+
+  function draw() {
+    plot?.destroy();
+    plot = null;
+    plotEl.innerHTML = "";
+
+    const colored = colorPoints(lasGetter(), points, colorSel.value, topsGetter());
+    points.colors = colored.colors;
+    showLegend(legendEl, colored.legend);
+    showSummary();
+
+    // Rt axis: whole decades around the samples and the handles.
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (const rt of [...points.rt, ...handlePoints().map(p => p.rt)]) {
+      if (rt < lo) lo = rt;
+      if (rt > hi) hi = rt;
+    }
+    const rtRange = [10 ** Math.floor(Math.log10(lo)), 10 ** Math.ceil(Math.log10(hi))];
+    if (rtRange[0] === rtRange[1]) rtRange[1] *= 10;
+
+    plot = new uPlot({
+      width: Math.max(plotEl.clientWidth, 500),
+      height: 450,
+      scales: {
+        x: { time: false, distr: 3, range: () => rtRange },
+        y: { distr: 3, range: () => PHI_RANGE },
+      },
+      axes: [{ label: `${points.resistivityMnemonic} (ohm.m)` }, { label: `${points.porosityMnemonic} (v/v)` }],
+      series: [{}, { show: false }],
+      hooks: { draw: [drawPickett] },
+      legend: { show: false },
+      cursor: { show: false, drag: { x: false, y: false } },
+    }, [rtRange, [null, null]], plotEl);
+
+    plot.over.style.cursor = "grab";
+    plot.over.addEventListener("mousedown", startDrag);
+  }
+
+  // Water line handles, then the spacing handle: [{ phi, rt }].
+  function handlePoints() {
+    return [
+      ...handles.map(phi => ({ phi, rt: pickettResistivity(phi, 1, params) })),
+      { phi: HANDLE_PHI[2], rt: pickettResistivity(HANDLE_PHI[2], PICKETT_SPACING_SW, params) },
+    ];
+  }
+
+  function drawPickett(u) {
+    const { ctx, bbox } = u;
+    const px = (rt, phi) => [u.valToPos(rt, "x", true), u.valToPos(phi, "y", true)];
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(bbox.left, bbox.top, bbox.width, bbox.height);
+    ctx.clip();
+
+    // Samples, one fill per color.
+    const size = 3 * devicePixelRatio;
+    const byColor = new Map();
+    points.colors.forEach((color, i) => {
+      if (!byColor.has(color)) byColor.set(color, []);
+      byColor.get(color).push(i);
+    });
+    for (const [color, rows] of byColor) {
+      ctx.fillStyle = color;
+      for (const i of rows) {
+        const [x, y] = px(points.rt[i], points.phi[i]);
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      }
+    }
+
+    // Sw lines: straight in log-log, so the ends of the porosity axis are enough.
+    ctx.font = `${11 * devicePixelRatio}px sans-serif`;
+    for (const sw of PICKETT_SW_LINES) {
+      const [x1, y1] = px(pickettResistivity(PHI_RANGE[0], sw, params), PHI_RANGE[0]);
+      const [x2, y2] = px(pickettResistivity(PHI_RANGE[1], sw, params), PHI_RANGE[1]);
+      ctx.strokeStyle = sw === 1 ? "#1f5fbf" : "#5b8fd9";
+      ctx.lineWidth = (sw === 1 ? 2 : 1) * devicePixelRatio;
+      ctx.setLineDash(sw === 1 ? [] : [6 * devicePixelRatio, 4 * devicePixelRatio]);
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+      const [lx, ly] = px(pickettResistivity(0.4, sw, params), 0.4);
+      ctx.fillStyle = "#1f5fbf";
+      ctx.fillText(`${Math.round(sw * 100)}%`, lx + 4 * devicePixelRatio, ly);
+    }
+
+    ctx.setLineDash([]);
+    ctx.lineWidth = 2 * devicePixelRatio;
+    ctx.strokeStyle = "#1f5fbf";
+    handlePoints().forEach((p, i) => {
+      const [x, y] = px(p.rt, p.phi);
+      ctx.fillStyle = i < 2 ? "#ffffff" : "#ffd966";
+      ctx.beginPath();
+      ctx.arc(x, y, HANDLE_RADIUS * devicePixelRatio, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  function startDrag(e) {
+    if (e.button !== 0 || !plot) return;
+    const u = plot;
+    const rect = u.over.getBoundingClientRect();
+    const posOf = (ev) => ({ x: ev.clientX - rect.left, y: ev.clientY - rect.top });
+    const valOf = (pos) => ({ rt: u.posToVal(pos.x, "x"), phi: u.posToVal(pos.y, "y") });
+    const cssOf = (p) => ({ x: u.valToPos(p.rt, "x"), y: u.valToPos(p.phi, "y") });
+
+    const start = posOf(e);
+    const hp = handlePoints().map(cssOf);
+    const hit = hp.findIndex(p => Math.hypot(p.x - start.x, p.y - start.y) <= HANDLE_RADIUS + 2);
+    const onLine = hit === -1 && distanceToLine(start, hp[0], hp[1]) <= HANDLE_RADIUS;
+    if (hit === -1 && !onLine) return;
+    e.preventDefault();
+
+    const before = { ...params };
+    let lastPreview = -Infinity;
+    let previewed = false;
+    const onMove = (ev) => {
+      const p = valOf(posOf(ev));
+      if (!(p.rt > 0 && p.phi > 0)) return;
+      let next = null;
+      try {
+        if (hit === 2) {
+          next = { ...params, n: saturationExponent(p, PICKETT_SPACING_SW, params) };
+        } else if (hit !== -1) {
+          const other = handles[1 - hit];
+          next = { ...params, ...waterLineParams(p, { phi: other, rt: pickettResistivity(other, 1, params) }, params.a) };
+        } else {
+          next = { ...params, rw: p.rt * p.phi ** params.m / params.a };
+        }
+      } catch {
+        return; // handles on top of each other
+      }
+      if (!(next.rw > 0 && next.m > 0 && next.n > 0)) return;
+      params = next;
+      if (hit === 0 || hit === 1) handles[hit] = p.phi;
+      showSummary();
+      u.redraw(false);
+      if (ev.timeStamp - lastPreview >= PREVIEW_MS) {
+        lastPreview = ev.timeStamp;
+        previewed = writeInputs(before, "preview") || previewed;
+      }
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove, true);
+      window.removeEventListener("mouseup", onUp, true);
+      // After a preview the "change" is needed even if the values ended where they started.
+      if (!writeInputs(before, "change") && previewed) mustEl(rwInputId).dispatchEvent(new Event("change"));
+    };
+    window.addEventListener("mousemove", onMove, true);
+    window.addEventListener("mouseup", onUp, true);
+  }
+
+  // One event for all the values: curveEditor.js reads every input when it recomputes.
+  // Returns whether any value differs from before.
+  function writeInputs(before, type) {
+    let changed = null;
+    for (const [key, id] of [["rw", rwInputId], ["m", mInputId], ["n", nInputId]]) {
+      if (round(params[key]) === round(before[key])) continue;
+      changed = mustEl(id);
+      changed.value = String(round(params[key]));
+    }
+    changed?.dispatchEvent(new Event(type));
+    return changed != null;
+  }
+
+  openBtn.addEventListener("click", openModal);
+  closeBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+  colorSel.addEventListener("change", () => {
+    if (points) draw();
+  });
+
+  return {
+    open: openModal,
+    destroy() {},
+  };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// "zone", "none" or "curve:<mnemonic>"; zones only when tops are loaded.
+function populateColorSelector(sel, las, topsData) {
+  const prev = sel.value;
+  sel.innerHTML = "";
+  const add = (value, text) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    sel.appendChild(opt);
+  };
+  if (topsData?.tops?.length) add("zone", "Zone");
+  add("none", "None");
+  for (const c of las.curves.slice(1)) {
+    if (!Array.isArray(c.data)) add(`curve:${c.mnemonic}`, c.mnemonic);
+  }
+  sel.value = [...sel.options].some(o => o.value === prev) ? prev : sel.options[0].value;
+}
+
+// A color per sample and the legend: [{ color, text }].
+function colorPoints(las, points, colorBy, topsData) {
+  const single = "#555555";
+  if (colorBy === "zone") {
+    const tops = [...(topsData?.tops || [])]
+      .filter(t => Number.isFinite(t.topD))
+      .sort((a, b) => a.topD - b.topD);
+    const zoneOf = (d) => {
+      let z = -1;
+      while (z + 1 < tops.length && tops[z + 1].topD <= d) z++;
+      return z;
+    };
+    const colorOf = (z) => (z === -1 ? single : ZONE_COLORS[z % ZONE_COLORS.length]);
+    const zones = points.depth.map(zoneOf);
+    const legend = tops.map((t, z) => ({ color: colorOf(z), text: t.label }));
+    if (zones.includes(-1)) legend.unshift({ color: single, text: "Above the first top" });
+    return { colors: zones.map(colorOf), legend };
+  }
+
+  if (colorBy.startsWith("curve:")) {
+    const mnemonic = colorBy.slice("curve:".length);
+    const curve = findCurve(las, mnemonic);
+    const [lo, hi] = curvePercentiles(las, mnemonic, [5, 95]);
+    if (curve && hi > lo) {
+      const ramp = (t) => `hsl(${Math.round(240 * (1 - t))}, 70%, 45%)`;
+      const colors = points.row.map(i => {
+        const v = curve.data[i];
+        if (!Number.isFinite(v)) return single;
+        const t = Math.min(Math.max((v - lo) / (hi - lo), 0), 1);
+        return ramp(Math.round(t * (RAMP_STEPS - 1)) / (RAMP_STEPS - 1));
+      });
+      return {
+        colors,
+        legend: [{ color: ramp(0), text: `${mnemonic} ≤ ${round(lo)} (P5)` }, { color: ramp(1), text: `${mnemonic} ≥ ${round(hi)} (P95)` }],
+      };
+    }
+  }
+
+  return { colors: points.depth.map(() => single), legend: [] };
+}
+
+function showLegend(el, legend) {
+  el.innerHTML = "";
+  for (const { color, text } of legend) {
+    const item = document.createElement("span");
+    item.style.marginRight = "1em";
+    const swatch = document.createElement("span");
+    swatch.style.cssText = `display:inline-block;width:0.8em;height:0.8em;margin-right:0.3em;background:${color};`;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(text));
+    el.appendChild(item);
+  }
+}
+
+function ownParamsNote(zones) {
+  const names = zones.filter(z => SW_PARAM_KEYS.some(k => k in z.params)).map(z => z.name);
+  if (!names.length) return "";
+  return ` Zones with their own Rw / a / m / n do not follow these lines: ${names.join(", ")}.`;
+}
+
+// Distance from a to the line through b and c (CSS px).
+function distanceToLine(a, b, c) {
+  const dx = c.x - b.x;
+  const dy = c.y - b.y;
+  const len = Math.hypot(dx, dy);
+  if (!len) return Math.hypot(a.x - b.x, a.y - b.y);
+  return Math.abs(dy * (a.x - b.x) - dx * (a.y - b.y)) / len;
+}
+
+function inputValue(id) {
+  return parseFloat(mustEl(id).value);
+}
+
+function findCurve(las, mnemonic) {
+  const up = String(mnemonic || "").toUpperCase();
+  return las.curves.find(c => c.mnemonic.toUpperCase() === up) || null;
+}
+
+function round(v) {
+  return Number(v.toPrecision(4));
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
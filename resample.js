@@ -0,0 +1,374 @@
+// resample.js
+// Resampling of the active data set to a uniform depth step:
+// - resampleLas(las, { step, top, base, method }) rebuilds the index curve and every data
+//   column, then updates ~W STRT / STOP / STEP (syncWellDepthRange)
+// - methods: "linear" (interpolate between the two neighbouring samples), "nearest", and
+//   "average" (mean of the samples within half a step; linear where a block holds none,
+//   so upsampling still works)
+// - NULLs are never bridged; text columns (LAS 3.0) always take the nearest sample
+// - bindResample() wires the Resample modal of the Curves panel
+//
+// Resampled curves drop their source formatting (curve.decimals / widths / tokens), so the
+// writer formats every value with the curve's layout.
+
+import { syncWellDepthRange, lasDepthUnit, logEdit } from "./lasio.js";
+import { depthUnitLabel } from "./units.js";
+import { recordEdit } from "./editHistory.js";
+import { isProtected } from "./settings.js";
+
+export const RESAMPLE_METHODS = {
+  linear: "Linear",
+  nearest: "Nearest",
+  average: "Block average",
+};
+
+// Guard against a typo in the step freezing the page.
+const MAX_SAMPLES = 5_000_000;
+
+/**
+ * Sampling of the active set's index curve: { top, base, step, regular, count }.
+ * step is the (absolute) regular step, or the median spacing when irregular.
+ * null when there is no numeric index.
+ */
+export function indexSampling(las) {
+  const index = las?.curves?.[0];
+  if (!index || Array.isArray(index.data) || !index.data?.length) return null;
+
+  const d = index.data;
+  let top = Infinity;
+  let base = -Infinity;
+  let prev = NaN;
+  let count = 0;
+  const gaps = [];
+  for (let i = 0; i < d.length; i++) {
+    const v = d[i];
+    if (!Number.isFinite(v)) continue;
+    if (v < top) top = v;
+    if (v > base) base = v;
+    if (Number.isFinite(prev)) gaps.push(Math.abs(v - prev));
+    prev = v;
+    count++;
+  }
+  if (!count) return null;
+
+  gaps.sort((a, b) => a - b);
+  const step = gaps.length ? gaps[gaps.length >> 1] : 0;
+  const regular = gaps.every(g => Math.abs(g - step) <= Math.max(1e-9, step * 1e-6));
+  return { top, base, step, regular, count };
+}
+
+/**
+ * Resample the active set (las.curves) to a uniform step between top and base
+ * (default: the whole index range). The index keeps its direction (increasing or
+ * decreasing). Curves are replaced, not mutated. Returns { count, step, top, base }.
+ */
+export function resampleLas(las, { step, top = null, base = null, method = "linear" } = {}) {
+  step = Math.abs(Number(step));
+  if (!Number.isFinite(step) || step === 0) throw new Error("Step must be a positive number.");
+
+  const sampling = indexSampling(las);
+  if (!sampling) throw new Error("The active data set has no numeric index curve to resample.");
+
+  let zTop = top == null || top === "" ? sampling.top : Number(top);
+  let zBase = base == null || base === "" ? sampling.base : Number(base);
+  if (!Number.isFinite(zTop) || !Number.isFinite(zBase)) throw new Error("Top and base must be numbers.");
+  if (zTop > zBase) [zTop, zBase] = [zBase, zTop];
+
+  // Keep the index direction of the source; the first depth is the window edge it starts from.
+  const index = las.curves[0];
+  const descending = sampling.count > 1 && firstFinite(index.data) > lastFinite(index.data);
+  const { depths, decimals } = uniformDepths(zTop, zBase, step, { fromBase: descending });
+  const count = depths.length;
+
+  const columns = sampleColumns(index.data, las.curves.slice(1).map(c => c.data || []), depths, { step, method });
+  if (descending) {
+    depths.reverse();
+    for (const data of columns) data.reverse();
+  }
+
+  const curves = las.curves.map((c, i) => {
+    if (i === 0) {
+      const layout = c.layout
+        ? { ...c.layout, decimals: Math.max(c.layout.decimals ?? 0, decimals) }
+        : c.layout;
+      return resampledCurve(c, depths, layout);
+    }
+    return resampledCurve(c, columns[i - 1], c.layout);
+  });
+
+  las.curves = curves;
+  const set = (las.sets || []).find(s => s.key === las.activeSet);
+  if (set) {
+    set.curves = curves;
+    // Rows no longer map to source lines.
+    set.rowLines = new Uint32Array(0);
+    set.rowIssues = [];
+    set.rowIssueCount = 0;
+  }
+
+  syncWellDepthRange(las);
+  return { count, step, top: zTop, base: zBase };
+}
+
+/**
+ * Increasing depths from top to base at a regular step, anchored at top (or at base with
+ * fromBase). Depths are rounded to the decimals of the step / anchor, so 0.1524 steps stay
+ * 0.1524 apart without floating point noise. Returns { depths: Float64Array, decimals }.
+ */
+export function uniformDepths(top, base, step, { fromBase = false } = {}) {
+  const count = Math.floor((base - top) / step + 1e-9) + 1;
+  if (count > MAX_SAMPLES) throw new Error(`Resampling would create ${count} samples (at most ${MAX_SAMPLES}).`);
+
+  const anchor = fromBase ? base : top;
+  const decimals = Math.min(10, Math.max(decimalsOf(step), decimalsOf(anchor)));
+  const depths = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const z = fromBase ? anchor - (count - 1 - i) * step : anchor + i * step;
+    depths[i] = Number(z.toFixed(decimals));
+  }
+  return { depths, decimals };
+}
+
+/**
+ * Sample data columns (aligned with indexData, in any order) at the given increasing depths.
+ * step is the block size of the "average" method. Returns one new array per column:
+ * Float64Array (NaN outside the data) or, for text columns, a plain array.
+ */
+export function sampleColumns(indexData, columns, depths, { step = 0, method = "linear" } = {}) {
+  if (!RESAMPLE_METHODS[method]) throw new Error(`Unknown resampling method: ${method}`);
+  const { order, xs } = sortedIndex(indexData);
+  const plan = buildPlan(xs, depths, Math.abs(step), method);
+  return columns.map(data => resampleColumn(data, order, plan, depths.length));
+}
+
+/**
+ * Wire the Resample modal: step / top / base / method inputs, prefilled from the index.
+ * onChange(result) runs after a successful resample (redraw tracks, ...).
+ */
+export function bindResample({
+  lasGetter = () => window.las,
+  openBtnId = "resampleButton",
+  modalId = "resampleModal",
+  stepInputId = "resampleStep",
+  topInputId = "resampleTop",
+  baseInputId = "resampleBase",
+  methodSelectId = "resampleMethod",
+  summaryId = "resampleSummary",
+  applyBtnId = "resampleApply",
+  cancelBtnId = "resampleCancel",
+  onChange = () => {},
+  history = null, // editHistory.js
+  protectedGetter = () => [], // settings.js: resampling them needs a confirmation
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const stepInput = mustEl(stepInputId);
+  const topInput = mustEl(topInputId);
+  const baseInput = mustEl(baseInputId);
+  const methodSel = mustEl(methodSelectId);
+  const summary = mustEl(summaryId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  if (!methodSel.options.length) {
+    for (const [value, label] of Object.entries(RESAMPLE_METHODS)) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      methodSel.appendChild(opt);
+    }
+  }
+
+  function openModal() {
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    const sampling = indexSampling(las);
+    if (!sampling) {
+      alert("The active data set has no numeric index curve to resample.");
+      return;
+    }
+
+    const unit = depthUnitLabel(lasDepthUnit(las));
+    stepInput.value = roundForInput(sampling.step);
+    topInput.value = roundForInput(sampling.top);
+    baseInput.value = roundForInput(sampling.base);
+    summary.textContent =
+      `${sampling.count} samples from ${roundForInput(sampling.top)} to ${roundForInput(sampling.base)} ${unit}, ` +
+      (sampling.regular ? `step ${roundForInput(sampling.step)} ${unit}.` : `irregular (median step ${roundForInput(sampling.step)} ${unit}).`);
+
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  applyBtn.addEventListener("click", () => {
+    const las = lasGetter();
+    if (!las) return;
+
+    // Every column is rewritten; the index is rebuilt anyway.
+    const rewritten = las.curves.slice(1).map(c => c.mnemonic).filter(m => isProtected(m, protectedGetter()));
+    if (rewritten.length && !confirm(`Resampling rewrites protected curves: ${rewritten.join(", ")}. Continue?`)) return;
+
+    let result;
+    try {
+      result = recordEdit(history, `Resample to ${stepInput.value}`, () => {
+        const r = resampleLas(las, {
+          step: stepInput.value,
+          top: topInput.value,
+          base: baseInput.value,
+          method: methodSel.value,
+        });
+        const unit = depthUnitLabel(lasDepthUnit(las));
+        logEdit(las, "Resample", `${r.top} - ${r.base} ${unit} at ${r.step} ${unit} (${RESAMPLE_METHODS[methodSel.value].toLowerCase()}), ${r.count} samples`);
+        return r;
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    closeModal();
+    onChange(result);
+  });
+
+  return { destroy() {} };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+// Finite index values in increasing order, with the source row of each.
+function sortedIndex(data) {
+  const rows = [];
+  for (let i = 0; i < data.length; i++) if (Number.isFinite(data[i])) rows.push(i);
+  rows.sort((a, b) => data[a] - data[b]);
+  return { order: Uint32Array.from(rows), xs: Float64Array.from(rows, r => data[r]) };
+}
+
+// For each target depth: the bracketing samples (i0, i1, weight of i1) and, for block
+// averages, the sample range [from, to). i0 = -1 outside the data.
+function buildPlan(xs, depths, step, method) {
+  const n = depths.length;
+  const i0 = new Int32Array(n).fill(-1);
+  const i1 = new Int32Array(n).fill(-1);
+  const w = new Float64Array(n);
+  const from = method === "average" ? new Int32Array(n) : null;
+  const to = method === "average" ? new Int32Array(n) : null;
+
+  const last = xs.length - 1;
+  let j = 0;
+  let a = 0;
+  let b = 0;
+  for (let t = 0; t < n; t++) {
+    const z = depths[t];
+
+    if (from) {
+      while (a <= last && xs[a] < z - step / 2) a++;
+      if (b < a) b = a;
+      while (b <= last && xs[b] < z + step / 2) b++;
+      from[t] = a;
+      to[t] = b;
+    }
+
+    if (last < 0 || z < xs[0] || z > xs[last]) continue;
+    while (j < last && xs[j + 1] <= z) j++;
+    if (xs[j] === z || j === last) {
+      i0[t] = i1[t] = j;
+      continue;
+    }
+    const frac = (z - xs[j]) / (xs[j + 1] - xs[j]);
+    if (method === "nearest") {
+      i0[t] = i1[t] = frac <= 0.5 ? j : j + 1;
+    } else {
+      i0[t] = j;
+      i1[t] = j + 1;
+      w[t] = frac;
+    }
+  }
+  return { i0, i1, w, from, to };
+}
+
+function resampleColumn(data, order, plan, count) {
+  const { i0, i1, w, from, to } = plan;
+
+  if (Array.isArray(data)) {
+    const out = new Array(count).fill(null);
+    for (let t = 0; t < count; t++) {
+      if (i0[t] < 0) continue;
+      out[t] = data[order[w[t] <= 0.5 ? i0[t] : i1[t]]] ?? null;
+    }
+    return out;
+  }
+
+  const out = new Float64Array(count).fill(NaN);
+  for (let t = 0; t < count; t++) {
+    if (from && to[t] > from[t]) {
+      let sum = 0;
+      let k = 0;
+      for (let s = from[t]; s < to[t]; s++) {
+        const v = data[order[s]];
+        if (Number.isFinite(v)) {
+          sum += v;
+          k++;
+        }
+      }
+      if (k) out[t] = sum / k;
+      continue;
+    }
+    if (i0[t] < 0) continue;
+    const v0 = data[order[i0[t]]];
+    if (i0[t] === i1[t]) {
+      out[t] = v0;
+      continue;
+    }
+    const v1 = data[order[i1[t]]];
+    if (Number.isFinite(v0) && Number.isFinite(v1)) out[t] = v0 + (v1 - v0) * w[t];
+  }
+  return out;
+}
+
+function resampledCurve(c, data, layout) {
+  const out = { ...c, data, layout };
+  delete out.decimals;
+  delete out.widths;
+  delete out.tokens;
+  delete out.depthSource;
+  return out;
+}
+
+function firstFinite(data) {
+  for (let i = 0; i < data.length; i++) if (Number.isFinite(data[i])) return data[i];
+  return NaN;
+}
+
+function lastFinite(data) {
+  for (let i = data.length - 1; i >= 0; i--) if (Number.isFinite(data[i])) return data[i];
+  return NaN;
+}
+
+function decimalsOf(v) {
+  const s = String(Number(v.toPrecision(12)));
+  if (s.includes("e")) return 10;
+  return s.split(".")[1]?.length ?? 0;
+}
+
+function roundForInput(v) {
+  return Number.isFinite(v) ? String(Number(v.toPrecision(10))) : "";
+}
@@ -1,7 +1,21 @@
-import { readLAS, writeLAS, readFileAsText, downloadTextFile } from "./lasio.js";
+import { readLASFile, writeLAS, setActiveSet, downloadTextFile, lasDepthUnit, convertDepthUnit, logEdit } from "./lasio.js";
+import { depthUnitLabel } from "./units.js";
+import { parseTopsCsv, topsFromLas, buildTopsData, convertTops } from "./tops.js";
 import { initFourDepthTracks } from "./multiTracks.js";
 import { bindCurveEditor } from "./curveEditor.js";
 import { bindZonalStats } from "./zonalStats.js";
+import { bindQcReport } from "./lasValidator.js";
+import { bindWellHeaderEditor } from "./wellHeaderEditor.js";
+import { bindCurveMetadataEditor } from "./curveMetadataEditor.js";
+import { bindResample } from "./resample.js";
+import { bindSplice } from "./splice.js";
+import { bindDepthShift } from "./depthShift.js";
+import { bindGrNormalize } from "./grNormalize.js";
+import { bindTrackEditor } from "./trackEdit.js";
+import { createEditHistory, bindEditHistory } from "./editHistory.js";
+import { bindSettingsPanel } from "./settings.js";
+import { bindZoneParams } from "./zoneParams.js";
+import { bindPickettPlot } from "./pickettPlot.js";
 
 let lasLoaded = false;
 let topsLoaded = false;
@@ -9,6 +23,32 @@ window.las = null
 let tracksCtrl;
 let curveEditorCtrl;
 let zonalStatsCtrl;
+let qcReportCtrl;
+let trackEditorCtrl;
+// Depth unit everything is shown in; the LAS and tops are converted to it on load.
+let displayUnit = document.getElementById("depthUnitSelector").value || "M";
+
+// Undo / redo of LAS edits; lives here so it survives startGraph() rebuilding the editors.
+const editHistory = createEditHistory({
+  lasGetter: () => window.las,
+  lasSetter: (las) => { window.las = las; },
+  tracksGetter: () => tracksCtrl,
+  onRestore: restoreFromHistory,
+});
+bindEditHistory(editHistory);
+
+// Protected curves apply to the editors as soon as the settings change.
+const settingsCtrl = bindSettingsPanel({
+  onChange: (settings) => curveEditorCtrl?.setProtectedMnemonics(settings.protectedMnemonics),
+});
+
+// Zone overrides recompute (and log) the petrophysics curves within the recorded edit.
+const zoneParamsCtrl = bindZoneParams({
+  lasGetter: () => window.las,
+  topsGetter: () => window.topsData,
+  onChange: () => redrawKeepingTracks({ logPetro: true }),
+  history: editHistory,
+});
 
 
 window.addEventListener("drop", (e) => {
@@ -34,6 +74,19 @@ document.getElementById("lasFileDropZone").addEventListener("drop", (e) => {
   const file = e.dataTransfer?.files?.[0]
   handleLasInput(file)})
 
+document.getElementById("lasSetSelector").addEventListener("change", (e) => {
+  setActiveSet(window.las, e.target.value);
+  startGraph();
+});
+
+document.getElementById("depthUnitSelector").addEventListener("change", (e) => {
+  displayUnit = e.target.value;
+  if (window.las) convertDepthUnit(window.las, displayUnit);
+  if (window.topsData) window.topsData = convertTops(window.topsData, displayUnit);
+  renderTopsTable();
+  if (lasLoaded) startGraph();
+});
+
 document.getElementById("topsFileInput").addEventListener("change", (e) => handleTopsInput(e.target.files?.[0]));
 document.getElementById("topsFileDropZone").addEventListener("drop", (e) => {
   e.preventDefault()
@@ -41,11 +94,38 @@ document.getElementById("topsFileDropZone").addEventListener("drop", (e) => {
   handleTopsInput(file)})
   
 async function handleLasInput(file) {
-    lasFileDropZone.innerText = shortenFileName(file.name)
-
-    const text = await readFileAsText(file);
-    window.las = readLAS(text);
+    if (!file) return;
+    const name = shortenFileName(file.name)
+    lasFileDropZone.innerText = `${name} (0%)`
+
+    // Parsed in a worker; the drop zone doubles as the progress readout.
+    try {
+      window.las = await readLASFile(file, {
+        onProgress: (loaded, total) => {
+          lasFileDropZone.innerText = `${name} (${Math.round(100 * loaded / Math.max(total, 1))}%)`
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      alert(String(err?.message ?? err));
+      lasFileDropZone.innerText = name
+      return;
+    }
+    lasFileDropZone.innerText = name
     console.log(window.las)
+    // A file without a recognizable depth unit is taken to be in the display unit.
+    const fileUnit = lasDepthUnit(window.las);
+    if (fileUnit && fileUnit !== displayUnit) convertDepthUnit(window.las, displayUnit);
+    populateSetSelector(window.las);
+
+    // LAS 3.0 files can carry their own ~Tops_Data; use it until a tops CSV is loaded.
+    if (!topsLoaded) {
+      const lasTops = topsFromLas(window.las, displayUnit);
+      if (lasTops) {
+        window.topsData = convertTops(lasTops, displayUnit);
+        renderTopsTable();
+      }
+    }
 
     // Example edit: clamp GR to [0, 200]
     //const gr = las.curves.find(c => c.mnemonic.toUpperCase() === "GR");
@@ -56,8 +136,10 @@ async function handleLasInput(file) {
 
 
     lasLoaded = true;
+    editHistory.clear();
    // if(topsLoaded) startGraph();
-   startGraph();
+   startGraph({ logPetro: true });
+   qcReportCtrl.openIfIssues();
 }
 
 async function handleTopsInput(file) {
@@ -71,105 +153,179 @@ async function handleTopsInput(file) {
 
   topsFileDropZone.innerText = shortenFileName(file.name)
 
+  renderTopsTable();
+
+  topsLoaded = true
+  if(lasLoaded) startGraph();
+}
+
+function renderTopsTable() {
+  const table = document.getElementById("topsTable");
+  document.getElementById("topsDepthHeader").innerText = `TVD (${depthUnitLabel(displayUnit)})`;
+  // Keep the header row only
+  while (table.rows.length > 1) table.deleteRow(1);
+  if (!window.topsData) return;
+
   for(let top of window.topsData.tops) {
     let row = document.createElement("tr")
     let lbl = document.createElement("td")
     let tvd = document.createElement("td")
-    if(top.label.slice(-8) == " TVD (m)") lbl.innerText = top.label.slice(0,-8);
-    else lbl.innerText = top.label;
-    tvd.innerText = top.topD
+    lbl.innerText = top.label;
+    // Converted depths carry long fractions; a millimetre / thousandth of a foot is plenty here
+    tvd.innerText = Number(top.topD.toFixed(3))
     row.appendChild(lbl)
     row.appendChild(tvd)
-    document.getElementById("topsTable").appendChild(row)
+    table.appendChild(row)
 
   }
+}
 
-  topsLoaded = true
-  if(lasLoaded) startGraph();
+function populateSetSelector(las) {
+  const sel = document.getElementById("lasSetSelector");
+  sel.innerHTML = "";
+
+  // Only sets indexed by a numeric column (log, core, ...) can be drawn as depth tracks.
+  const plottable = las.sets.filter(s => s.curves.length && s.curves[0].data.some(Number.isFinite));
+  for (const set of plottable) {
+    const opt = document.createElement("option");
+    opt.value = set.key;
+    opt.textContent = `${set.name} (${set.curves.length} curves)`;
+    sel.appendChild(opt);
+  }
+  sel.value = las.activeSet;
+  sel.hidden = plottable.length < 2;
 }
 
-function startGraph() {
+// computePetro: false redraws a restored undo / redo state without recomputing its curves;
+// logPetro: true logs the petrophysics run (a newly loaded or spliced LAS).
+function startGraph({ computePetro = true, logPetro = false } = {}) {
     tracksCtrl?.destroy?.();
     tracksCtrl = initFourDepthTracks(window.las);
 
     curveEditorCtrl?.destroy?.();
-    curveEditorCtrl = bindCurveEditor(window.las, tracksCtrl)
+    curveEditorCtrl = bindCurveEditor(window.las, tracksCtrl, {
+      history: editHistory,
+      protectedMnemonics: settingsCtrl.get().protectedMnemonics,
+      zonesGetter: () => zoneParamsCtrl.zones(),
+      computePetro,
+      logPetro,
+    })
+    trackEditorCtrl?.refresh?.();
     zonalStatsCtrl?.refresh?.();
 }
 
 zonalStatsCtrl = bindZonalStats({
   lasGetter: () => window.las,
   topsGetter: () => window.topsData,
+  zonesGetter: () => zoneParamsCtrl.zones(),
+});
+
+qcReportCtrl = bindQcReport({
+  lasGetter: () => window.las,
+});
+
+bindWellHeaderEditor({
+  lasGetter: () => window.las,
+  history: editHistory,
+});
+
+// Units drive curve-family detection: redraw the tracks (styling) and the petrophysics
+// selectors, keeping the curves shown.
+bindCurveMetadataEditor({
+  lasGetter: () => window.las,
+  onChange: () => redrawKeepingTracks(),
+  history: editHistory,
+});
+
+bindResample({
+  lasGetter: () => window.las,
+  onChange: () => startGraph(),
+  history: editHistory,
+  protectedGetter: () => settingsCtrl.get().protectedMnemonics,
+});
+
+trackEditorCtrl = bindTrackEditor({
+  lasGetter: () => window.las,
+  tracksGetter: () => tracksCtrl,
+  protectedGetter: () => settingsCtrl.get().protectedMnemonics,
+  history: editHistory,
+});
+
+bindDepthShift({
+  lasGetter: () => window.las,
+  tracksGetter: () => tracksCtrl,
+  onChange: () => startGraph(),
+  history: editHistory,
+  protectedGetter: () => settingsCtrl.get().protectedMnemonics,
+});
+
+bindGrNormalize({
+  lasGetter: () => window.las,
+  topsGetter: () => window.topsData,
+  onChange: () => startGraph(),
+  history: editHistory,
+  protectedGetter: () => settingsCtrl.get().protectedMnemonics,
+});
+
+// Dragged Rw / m / n go to the Petrophysics inputs, which recompute the curves live.
+bindPickettPlot({
+  lasGetter: () => window.las,
+  topsGetter: () => window.topsData,
+  zonesGetter: () => zoneParamsCtrl.zones(),
+});
+
+// A composite of several runs replaces the loaded LAS, as loading a file does.
+bindSplice({
+  depthUnitGetter: () => displayUnit,
+  onSplice: (las) => {
+    editHistory.record("Splice runs", () => {
+      window.las = las;
+      logEdit(las, "Splice", "composite of the runs listed in the notes above");
+      populateSetSelector(window.las);
+      lasLoaded = true;
+      startGraph({ logPetro: true });
+    });
+    lasFileDropZone.innerText = "Spliced composite";
+  },
 });
 
 document.getElementById("exportButton").addEventListener("click", () => {
-  const out = writeLAS(window.las);
+  // "" exports in the display unit (the LAS is already converted to it).
+  const depthUnit = document.getElementById("exportDepthUnit").value || null;
+  const out = writeLAS(window.las, { depthUnit });
   downloadTextFile(out, "edited.las");
   // your download/export handler here
 });
 
 
 
-function parseCsvLine(line) {
-  // minimal CSV parser that handles quotes
-  const out = [];
-  let cur = "", inQ = false;
+function redrawKeepingTracks(graphOptions) {
+  const shown = (tracksCtrl?.state?.tracks || []).map(t => t.selectedMnemonic);
+  startGraph(graphOptions);
+  shown.forEach((mnemonic, i) => tracksCtrl.setTrack(i, mnemonic));
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') {
-      if (inQ && line[i + 1] === '"') { cur += '"'; i++; }
-      else inQ = !inQ;
-    } else if (c === ',' && !inQ) {
-      out.push(cur);
-      cur = "";
-    } else {
-      cur += c;
-    }
-  }
-  out.push(cur);
-  return out;
+function restoreFromHistory({ tracks }) {
+  if (!window.las) return;
+  // A state recorded before a depth unit switch is shown in the current unit.
+  const unit = lasDepthUnit(window.las);
+  if (unit && unit !== displayUnit) convertDepthUnit(window.las, displayUnit);
+
+  populateSetSelector(window.las);
+  startGraph({ computePetro: false });
+  tracks.forEach((mnemonic, i) => {
+    const exists = window.las.curves.some(c => c.mnemonic === mnemonic);
+    tracksCtrl.setTrack(i, exists ? mnemonic : "");
+  });
 }
 
 async function loadTopsCsvFile(file) {
   const text = await file.text();
-  const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
-  if (lines.length < 2) throw new Error("Tops CSV must have a header row and at least one data row.");
-
-  const header = parseCsvLine(lines[0]).map(s => s.trim());
-  const row    = parseCsvLine(lines[1]).map(s => s.trim());
-
-  // column 0 expected to be Well ID
-  const wellId = row[0] || null;
-
-  const tops = [];
-  for (let i = 1; i < header.length; i++) {
-    const label = header[i];
-    const raw = row[i] ?? "";
-    const topD = raw === "" ? null : Number(raw);
-
-    if (label && Number.isFinite(topD)) {
-      tops.push({ label, topD });
-    } else if (label) {
-      // keep label even if missing value, if you want:
-      // tops.push({ label, top: null });
-    }
-  }
-
-  // compute requested y-range using only numeric tops
-  const vals = tops.map(t => t.topD).filter(Number.isFinite);
-  if (vals.length === 0) {
-    window.topsData = { wellId, tops, yMin: null, yMax: null };
-    return window.topsData;
-  }
-
-  const highestTop = Math.min(...vals); // shallowest (smallest TVD)
-  const lowestTop  = Math.max(...vals); // deepest (largest TVD)
-
-  const yMin = highestTop - 10;
-  const yMax = lowestTop + 10;
+  // The panel shows one well: the first data row.
+  const { wellId, tops, unit } = parseTopsCsv(text)[0];
 
-  window.topsData = { wellId, tops, yMin, yMax };
+  // Without a unit in the headers the tops are taken to be in the display unit.
+  window.topsData = convertTops(buildTopsData(wellId, tops, unit || displayUnit), displayUnit);
   console.log(window.topsData)
   return window.topsData;
 }
@@ -0,0 +1,111 @@
+// settings.js
+// User settings, kept in localStorage between sessions:
+// - protectedMnemonics: curves that cannot be renamed, overwritten, deleted or hand-edited
+//   (resampling them asks first)
+// bindSettingsPanel() wires the Settings modal; onChange(settings) runs after Apply.
+
+const STORAGE_KEY = "lasViewer.settings";
+
+export const DEFAULT_SETTINGS = {
+  protectedMnemonics: ["DEPT", "DEPTH", "DPHIX"],
+};
+
+/**
+ * Saved settings over the defaults. Unreadable storage gives the defaults.
+ */
+export function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || "{}") || {};
+  } catch {
+    saved = {};
+  }
+  const protectedMnemonics = Array.isArray(saved.protectedMnemonics)
+    ? parseMnemonicList(saved.protectedMnemonics.join(" "))
+    : DEFAULT_SETTINGS.protectedMnemonics.slice();
+  return { ...DEFAULT_SETTINGS, ...saved, protectedMnemonics };
+}
+
+export function saveSettings(settings) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private browsing or a full quota: the settings last for this session only.
+  }
+}
+
+export function isProtected(mnemonic, protectedMnemonics) {
+  const up = String(mnemonic || "").toUpperCase();
+  return protectedMnemonics.some(p => p.toUpperCase() === up);
+}
+
+/**
+ * "DEPT, depth  GR" -> ["DEPT", "DEPTH", "GR"] (upper case, no duplicates).
+ */
+export function parseMnemonicList(text) {
+  const out = [];
+  for (const m of String(text || "").split(/[\s,;]+/)) {
+    const up = m.trim().toUpperCase();
+    if (up && !out.includes(up)) out.push(up);
+  }
+  return out;
+}
+
+export function bindSettingsPanel({
+  openBtnId = "settingsButton",
+  modalId = "settingsModal",
+  protectedInputId = "settingsProtected",
+  resetBtnId = "settingsReset",
+  applyBtnId = "settingsApply",
+  cancelBtnId = "settingsCancel",
+  onChange = () => {},
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const protectedInput = mustEl(protectedInputId);
+  const resetBtn = mustEl(resetBtnId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  let settings = loadSettings();
+
+  function openModal() {
+    protectedInput.value = settings.protectedMnemonics.join(", ");
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  resetBtn.addEventListener("click", () => {
+    protectedInput.value = DEFAULT_SETTINGS.protectedMnemonics.join(", ");
+  });
+
+  applyBtn.addEventListener("click", () => {
+    settings = { ...settings, protectedMnemonics: parseMnemonicList(protectedInput.value) };
+    saveSettings(settings);
+    closeModal();
+    onChange(settings);
+  });
+
+  return {
+    get: () => settings,
+  };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
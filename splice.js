@@ -0,0 +1,434 @@
+// splice.js
+// Splicing of several logging runs of one well into a composite LAS:
+// - planSplice(runs) orders the runs by depth, unifies matching mnemonics ("GR", "gr",
+//   "GR_1", "GR:2" are one curve) and proposes a splice depth between each pair of runs
+//   that carry a curve (middle of their overlap, else the top of the deeper run)
+// - spliceRuns(plan) samples every run on a common depth index and builds the composite:
+//   above a splice depth the shallower run is used, from it down the deeper one
+// - the composite keeps the shallowest run's headers; the runs and splice depths are
+//   recorded in ~O
+// - bindSplice() wires the Splice Runs modal of the Curves panel
+//
+// runs = [{ name, las }]; only the log set of each run is spliced.
+
+import { readLASFile, lasDepthUnit, convertDepthUnit } from "./lasio.js";
+import { depthUnitLabel } from "./units.js";
+import { RESAMPLE_METHODS, indexSampling, uniformDepths, sampleColumns } from "./resample.js";
+
+/**
+ * Splice plan for the runs: { unit, step, top, base, method, runs, curves }.
+ * runs are sorted shallowest first; curves = [{ mnemonic, sources: [{ run, mnemonic, top, base }],
+ * splices: [depth between sources[i] and sources[i + 1]] }]. mnemonic and splices may be
+ * edited before spliceRuns(). Runs in another depth unit are converted to unit (default:
+ * the first run's).
+ */
+export function planSplice(runs, { unit = null } = {}) {
+  if (!runs.length) throw new Error("Add at least one LAS run to splice.");
+
+  unit = unit || runs.map(r => lasDepthUnit(r.las)).find(Boolean) || null;
+
+  const sorted = runs.map(run => {
+    const las = run.las;
+    const runUnit = lasDepthUnit(las);
+    if (unit && runUnit && runUnit !== unit) convertDepthUnit(las, unit);
+
+    const sampling = indexSampling(logSetView(las));
+    if (!sampling) throw new Error(`${run.name} has no numeric depth index.`);
+    return { ...run, top: sampling.top, base: sampling.base, step: sampling.step };
+  }).sort((a, b) => (a.top - b.top) || (a.base - b.base));
+
+  const curves = [];
+  const byKey = new Map();
+  sorted.forEach((run, r) => {
+    const runCurves = logCurves(run.las);
+    const index = runCurves[0].data;
+    const used = new Set();
+    for (const c of runCurves.slice(1)) {
+      // Two curves of one run never merge; the second keeps its own mnemonic.
+      let key = curveKey(c.mnemonic);
+      if (used.has(key)) key = c.mnemonic.trim().toUpperCase();
+      used.add(key);
+
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = { mnemonic: key === curveKey(c.mnemonic) ? stripRunSuffix(c.mnemonic) : c.mnemonic.trim(), sources: [], splices: [] };
+        byKey.set(key, entry);
+        curves.push(entry);
+      }
+      entry.sources.push({ run: r, mnemonic: c.mnemonic, ...coverage(index, c.data, run) });
+    }
+  });
+
+  // The finest run step, without conversion noise (0.3048000000000002).
+  const step = Number(Math.min(...sorted.map(r => r.step).filter(s => s > 0)).toPrecision(10));
+  for (const entry of curves) {
+    entry.splices = entry.sources.slice(1).map((b, i) => defaultSplice(entry.sources[i], b, step));
+  }
+
+  return {
+    unit,
+    step: Number.isFinite(step) ? step : 0,
+    top: Math.min(...sorted.map(r => r.top)),
+    base: Math.max(...sorted.map(r => r.base)),
+    method: "linear",
+    runs: sorted,
+    curves,
+  };
+}
+
+/**
+ * Build the composite LAS from a plan (see planSplice). The runs are not modified.
+ */
+export function spliceRuns(plan) {
+  const { runs, curves } = plan;
+  const step = Math.abs(Number(plan.step));
+  if (!Number.isFinite(step) || step === 0) throw new Error("Step must be a positive number.");
+  if (!RESAMPLE_METHODS[plan.method]) throw new Error(`Unknown resampling method: ${plan.method}`);
+
+  const baseRun = runs[0];
+  const baseCurves = logCurves(baseRun.las);
+  const indexCurve = baseCurves[0];
+
+  const seen = new Set([indexCurve.mnemonic.toUpperCase()]);
+  for (const entry of curves) {
+    const m = String(entry.mnemonic || "").trim();
+    if (!m) throw new Error("Every spliced curve needs a mnemonic.");
+    if (seen.has(m.toUpperCase())) throw new Error(`Two curves would be named ${m}.`);
+    seen.add(m.toUpperCase());
+    entry.splices.forEach((s, i) => {
+      if (!Number.isFinite(s)) throw new Error(`Splice depth ${i + 1} of ${m} must be a number.`);
+      if (i && s < entry.splices[i - 1]) throw new Error(`Splice depths of ${m} must increase with depth.`);
+    });
+  }
+
+  // Each run sampled once, for the curves it contributes.
+  const { depths, decimals } = uniformDepths(plan.top, plan.base, step);
+  const sampled = runs.map((run, r) => {
+    const runCurves = logCurves(run.las);
+    const wanted = curves.flatMap(e => e.sources.filter(s => s.run === r).map(s => s.mnemonic));
+    const columns = wanted.map(m => runCurves.find(c => c.mnemonic === m).data || []);
+    const data = sampleColumns(runCurves[0].data, columns, depths, { step, method: plan.method });
+    return new Map(wanted.map((m, i) => [m, data[i]]));
+  });
+
+  const spliced = curves.map(entry => {
+    const first = entry.sources[0];
+    const src = logCurves(runs[first.run].las).find(c => c.mnemonic === first.mnemonic);
+    const columns = entry.sources.map(s => sampled[s.run].get(s.mnemonic));
+    const text = Array.isArray(columns[0]);
+    const data = text ? new Array(depths.length).fill(null) : new Float64Array(depths.length).fill(NaN);
+
+    let j = 0;
+    for (let t = 0; t < depths.length; t++) {
+      while (j < entry.splices.length && depths[t] >= entry.splices[j]) j++;
+      const v = columns[j][t];
+      data[t] = text ? (v ?? null) : v;
+    }
+    return splicedCurve(src, entry.mnemonic.trim(), data, src.layout);
+  });
+
+  // The index runs the way the shallowest run's does.
+  const descending = firstFinite(indexCurve.data) > lastFinite(indexCurve.data);
+  if (descending) {
+    depths.reverse();
+    for (const c of spliced) c.data.reverse();
+  }
+  const indexLayout = indexCurve.layout
+    ? { ...indexCurve.layout, decimals: Math.max(indexCurve.layout.decimals ?? 0, decimals) }
+    : indexCurve.layout;
+  const composite = [splicedCurve(indexCurve, indexCurve.mnemonic, depths, indexLayout), ...spliced];
+
+  return compositeLas(baseRun.las, composite, spliceNotes(plan));
+}
+
+/**
+ * Wire the Splice Runs modal. Runs are read with readLASFile and converted to
+ * depthUnitGetter(); onSplice(las) receives the composite.
+ */
+export function bindSplice({
+  depthUnitGetter = () => null,
+  openBtnId = "spliceButton",
+  modalId = "spliceModal",
+  fileInputId = "spliceFileInput",
+  runsBodyId = "spliceRunsBody",
+  curvesBodyId = "spliceCurvesBody",
+  stepInputId = "spliceStep",
+  methodSelectId = "spliceMethod",
+  applyBtnId = "spliceApply",
+  cancelBtnId = "spliceCancel",
+  onSplice = () => {},
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const fileInput = mustEl(fileInputId);
+  const runsBody = mustEl(runsBodyId);
+  const curvesBody = mustEl(curvesBodyId);
+  const stepInput = mustEl(stepInputId);
+  const methodSel = mustEl(methodSelectId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  let runs = [];
+  let plan = null;
+
+  function replan() {
+    plan = null;
+    if (runs.length) {
+      try {
+        plan = planSplice(runs, { unit: depthUnitGetter() });
+      } catch (err) {
+        alert(String(err?.message ?? err));
+      }
+    }
+    if (plan) stepInput.value = roundForInput(plan.step);
+    renderRuns(runsBody, plan, (name) => {
+      runs = runs.filter(r => r.name !== name);
+      replan();
+    });
+    renderCurves(curvesBody, plan);
+  }
+
+  function openModal() {
+    replan();
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  fileInput.addEventListener("change", async () => {
+    const files = [...(fileInput.files || [])];
+    fileInput.value = "";
+    for (const file of files) {
+      try {
+        const las = await readLASFile(file);
+        // Re-adding a file replaces the earlier copy.
+        runs = runs.filter(r => r.name !== file.name).concat({ name: file.name, las });
+      } catch (err) {
+        console.error(err);
+        alert(`${file.name}: ${String(err?.message ?? err)}`);
+      }
+    }
+    replan();
+  });
+
+  applyBtn.addEventListener("click", () => {
+    if (!plan) {
+      alert("Add the LAS files of each logging run first.");
+      return;
+    }
+
+    let las;
+    try {
+      readCurveRows(curvesBody, plan);
+      plan.step = Number(stepInput.value);
+      plan.method = methodSel.value;
+      las = spliceRuns(plan);
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    closeModal();
+    onSplice(las);
+  });
+
+  return { destroy() {} };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+// Run suffixes ("GR_1", "GR:2") do not make a different curve.
+function stripRunSuffix(mnemonic) {
+  return mnemonic.trim().replace(/[_:]\d+$/, "");
+}
+
+function curveKey(mnemonic) {
+  return stripRunSuffix(mnemonic).toUpperCase();
+}
+
+function logCurves(las) {
+  const logSet = (las.sets || []).find(s => s.key === "LOG");
+  return (logSet && las.activeSet !== "LOG") ? logSet.curves : (las.curves || []);
+}
+
+function logSetView(las) {
+  return { curves: logCurves(las) };
+}
+
+// Depth range where the curve has values (the run's range for text columns).
+function coverage(index, data, run) {
+  if (!data || Array.isArray(data)) return { top: run.top, base: run.base };
+  let top = Infinity;
+  let base = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    const z = index[i];
+    if (!Number.isFinite(z) || !Number.isFinite(data[i])) continue;
+    if (z < top) top = z;
+    if (z > base) base = z;
+  }
+  return Number.isFinite(top) ? { top, base } : { top: run.top, base: run.base };
+}
+
+function defaultSplice(a, b, step) {
+  const z = b.top < a.base ? (b.top + Math.min(a.base, b.base)) / 2 : b.top;
+  // On the index grid, so the splice falls on a sample.
+  return step > 0 ? Number((Math.round(z / step) * step).toPrecision(12)) : z;
+}
+
+function splicedCurve(c, mnemonic, data, layout) {
+  const out = { ...c, mnemonic, data, layout };
+  delete out.decimals;
+  delete out.widths;
+  delete out.tokens;
+  delete out.depthSource;
+  return out;
+}
+
+// The shallowest run's headers and other data sets around the spliced log set.
+function compositeLas(base, curves, notes) {
+  const sets = (base.sets || []).map(s => s.key === "LOG"
+    ? { ...s, curves, params: new Map(s.params || []), rowLines: new Uint32Array(0), rowIssues: [], rowIssueCount: 0 }
+    : { ...s, curves: s.curves.slice(), params: new Map(s.params || []) });
+  const logSet = sets.find(s => s.key === "LOG");
+
+  return {
+    ...base,
+    well: new Map([...(base.well || new Map())].map(([k, item]) => [k, { ...item }])),
+    sets,
+    curves,
+    params: logSet ? logSet.params : new Map(base.params || []),
+    activeSet: "LOG",
+    other: [...(base.other || []), ...notes],
+    audit: (base.audit || []).slice(),
+    meta: { ...base.meta, depthUnitSpellings: { ...base.meta?.depthUnitSpellings } },
+  };
+}
+
+function spliceNotes(plan) {
+  const unit = plan.unit || "";
+  const runNames = plan.runs.map((r, i) => `run ${i + 1} (${r.name})`);
+  const notes = [
+    `Composite of ${plan.runs.length} logging run(s), resampled to ${plan.step} ${unit} (${RESAMPLE_METHODS[plan.method].toLowerCase()}):`,
+    ...plan.runs.map((r, i) => `  ${runNames[i]}: ${r.top} - ${r.base} ${unit}`),
+  ];
+  for (const entry of plan.curves) {
+    entry.splices.forEach((z, i) => {
+      const a = entry.sources[i];
+      const b = entry.sources[i + 1];
+      notes.push(`  Splice ${entry.mnemonic.trim()}: ${runNames[a.run]} ${a.mnemonic} above ${z} ${unit}, ${runNames[b.run]} ${b.mnemonic} below`);
+    });
+  }
+  return notes;
+}
+
+function renderRuns(tbody, plan, onRemove) {
+  tbody.innerHTML = "";
+  if (!plan) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = 5;
+    td.textContent = "Add the LAS files of each logging run.";
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
+
+  const unit = depthUnitLabel(plan.unit);
+  plan.runs.forEach((run, i) => {
+    const tr = document.createElement("tr");
+    for (const text of [
+      `${i + 1}. ${run.name}`,
+      `${roundForInput(run.top)} - ${roundForInput(run.base)} ${unit}`,
+      `${roundForInput(run.step)} ${unit}`,
+      `${logCurves(run.las).length - 1} curves`,
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    const td = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = "Remove";
+    btn.addEventListener("click", () => onRemove(run.name));
+    td.appendChild(btn);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  });
+}
+
+function renderCurves(tbody, plan) {
+  tbody.innerHTML = "";
+  if (!plan) return;
+
+  plan.curves.forEach((entry, k) => {
+    const tr = document.createElement("tr");
+    tr.dataset.curve = String(k);
+
+    const nameTd = document.createElement("td");
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = entry.mnemonic;
+    nameInput.dataset.role = "mnemonic";
+    nameTd.appendChild(nameInput);
+    tr.appendChild(nameTd);
+
+    const srcTd = document.createElement("td");
+    srcTd.textContent = entry.sources.map(s => `${s.run + 1}: ${s.mnemonic}`).join(", ");
+    tr.appendChild(srcTd);
+
+    const spliceTd = document.createElement("td");
+    if (!entry.splices.length) spliceTd.textContent = "Single run";
+    entry.splices.forEach((z, i) => {
+      const label = document.createElement("label");
+      label.textContent = `${entry.sources[i].run + 1} → ${entry.sources[i + 1].run + 1} `;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.value = roundForInput(z);
+      input.dataset.role = "splice";
+      label.appendChild(input);
+      spliceTd.appendChild(label);
+    });
+    tr.appendChild(spliceTd);
+
+    tbody.appendChild(tr);
+  });
+}
+
+function readCurveRows(tbody, plan) {
+  for (const tr of tbody.querySelectorAll("tr[data-curve]")) {
+    const entry = plan.curves[Number(tr.dataset.curve)];
+    entry.mnemonic = tr.querySelector('input[data-role="mnemonic"]').value.trim();
+    entry.splices = [...tr.querySelectorAll('input[data-role="splice"]')].map(i => i.value === "" ? NaN : Number(i.value));
+  }
+}
+
+function firstFinite(data) {
+  for (let i = 0; i < data.length; i++) if (Number.isFinite(data[i])) return data[i];
+  return NaN;
+}
+
+function lastFinite(data) {
+  for (let i = data.length - 1; i >= 0; i--) if (Number.isFinite(data[i])) return data[i];
+  return NaN;
+}
+
+function roundForInput(v) {
+  return Number.isFinite(v) ? String(Number(v.toPrecision(10))) : "";
+}
@@ -0,0 +1,109 @@
+// tops.js
+// Formation tops: tops CSV parsing, LAS 3.0 ~Tops_Data, and the padded depth range the
+// tracks are drawn over. DOM-free, shared by scripts.js and the batch CLI (lasBatch.js).
+//
+// topsData = { wellId, tops: [{ label, topD }], unit: "M" | "FT", yMin, yMax }
+//
+// Tops CSV layout: a header row, then one row per well; column 0 is the well ID and every
+// other column is one top. Depth columns may be headed "<Top> TVD (m)" / "<Top> TVD (ft)".
+
+import { depthUnitKey, convertDepth, TOPS_PADDING_M } from "./units.js";
+
+/**
+ * Parse a tops CSV into one entry per well row: [{ wellId, tops, unit }].
+ * unit is null when no header names one.
+ */
+export function parseTopsCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
+  if (lines.length < 2) throw new Error("Tops CSV must have a header row and at least one data row.");
+
+  const header = parseCsvLine(lines[0]).map(s => s.trim());
+
+  let unit = null;
+  const labels = header.map((h, i) => {
+    if (i === 0) return "";
+    const m = h.match(/^(.*?)\s*TVD\s*\(\s*([A-Za-z]+)\s*\)\s*$/);
+    if (!m || !depthUnitKey(m[2])) return h;
+    unit = unit || depthUnitKey(m[2]);
+    return m[1];
+  });
+
+  return lines.slice(1).map(line => {
+    const row = parseCsvLine(line).map(s => s.trim());
+    const tops = [];
+    for (let i = 1; i < labels.length; i++) {
+      const raw = row[i] ?? "";
+      const topD = raw === "" ? null : Number(raw);
+      if (labels[i] && Number.isFinite(topD)) tops.push({ label: labels[i], topD });
+    }
+    // column 0 expected to be Well ID
+    return { wellId: row[0] || null, tops, unit };
+  });
+}
+
+/**
+ * Tops from a LAS 3.0 ~Tops_Data set (a text name column and a numeric depth column),
+ * or null when the file has none. Depths are in the set's depth unit (else defaultUnit).
+ */
+export function topsFromLas(las, defaultUnit = "M") {
+  const set = (las.sets || []).find(s => s.key === "TOPS");
+  if (!set) return null;
+
+  const nameCurve = set.curves.find(c => c.data.some(v => typeof v === "string"));
+  const depthCurve = set.curves.find(c => c.data.some(Number.isFinite));
+  if (!nameCurve || !depthCurve) return null;
+
+  const tops = [];
+  for (let i = 0; i < nameCurve.data.length; i++) {
+    const label = nameCurve.data[i];
+    const topD = depthCurve.data[i];
+    if (label && Number.isFinite(topD)) tops.push({ label: String(label), topD });
+  }
+
+  const unit = depthUnitKey(depthCurve.unit) || defaultUnit;
+  return buildTopsData(las.well?.get("UWI")?.valueRaw || null, tops, unit);
+}
+
+export function buildTopsData(wellId, tops, unit) {
+  // compute requested y-range using only numeric tops
+  const vals = tops.map(t => t.topD).filter(Number.isFinite);
+  if (vals.length === 0) {
+    return { wellId, tops, unit, yMin: null, yMax: null };
+  }
+
+  const highestTop = Math.min(...vals); // shallowest (smallest TVD)
+  const lowestTop  = Math.max(...vals); // deepest (largest TVD)
+
+  const padding = convertDepth(TOPS_PADDING_M, "M", unit);
+  const yMin = highestTop - padding;
+  const yMax = lowestTop + padding;
+
+  return { wellId, tops, unit, yMin, yMax };
+}
+
+export function convertTops(topsData, unit) {
+  if (topsData.unit === unit) return topsData;
+  const tops = topsData.tops.map(t => ({ ...t, topD: convertDepth(t.topD, topsData.unit, unit) }));
+  return buildTopsData(topsData.wellId, tops, unit);
+}
+
+export function parseCsvLine(line) {
+  // minimal CSV parser that handles quotes
+  const out = [];
+  let cur = "", inQ = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (inQ && line[i + 1] === '"') { cur += '"'; i++; }
+      else inQ = !inQ;
+    } else if (c === ',' && !inQ) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur);
+  return out;
+}
@@ -0,0 +1,222 @@
+// trackEdit.js
+// Hand-editing of curve values on the tracks (multiTracks.js setTrackEdit):
+// - "drag": press on the curve and release where the sample at that depth should be
+// - "draw": a freehand stroke replaces the samples over the depth range it covers
+// - "interval": drag a depth interval and set it to #trackEditValue (blank = NULL)
+//
+// Edits give the curve a new data array (lasio.js applyCurveEdit), so they are undoable and
+// writeLAS writes the edited values into the ~A rows. Each edit is logged in the audit
+// trail. The depth index and protected curves (settings.js) cannot be edited.
+
+import { applyCurveEdit, logEdit } from "./lasio.js";
+import { recordEdit } from "./editHistory.js";
+
+export const TRACK_EDIT_MODES = {
+  drag: { label: "Drag points", kind: "point" },
+  draw: { label: "Draw segment", kind: "path" },
+  interval: { label: "Set interval", kind: "band" },
+};
+
+/**
+ * Set the sample nearest to depth to value (NaN for NULL). Returns the row, or -1.
+ */
+export function setSampleAt(las, mnemonic, depth, value) {
+  const row = nearestRow(las.curves[0]?.data || [], depth);
+  if (row === -1) return -1;
+  editableCurve(las, mnemonic);
+  applyCurveEdit(las, mnemonic, (v, i) => (i === row ? value : v));
+  return row;
+}
+
+/**
+ * Replace the samples between the shallowest and deepest drawn point with the stroke,
+ * interpolated by depth. points: [{ depth, value }]. Returns the number of samples set.
+ */
+export function drawSegment(las, mnemonic, points) {
+  const stroke = points
+    .filter(p => Number.isFinite(p.depth) && Number.isFinite(p.value))
+    .sort((a, b) => a.depth - b.depth);
+  if (stroke.length < 2) return 0;
+  editableCurve(las, mnemonic);
+
+  const index = las.curves[0].data;
+  const top = stroke[0].depth;
+  const base = stroke[stroke.length - 1].depth;
+  let count = 0;
+  let j = 1;
+  const valueAt = (z) => {
+    while (j < stroke.length - 1 && stroke[j].depth < z) j++;
+    while (j > 1 && stroke[j - 1].depth > z) j--;
+    const a = stroke[j - 1];
+    const b = stroke[j];
+    return b.depth === a.depth ? b.value : a.value + (z - a.depth) / (b.depth - a.depth) * (b.value - a.value);
+  };
+  applyCurveEdit(las, mnemonic, (v, i) => {
+    const z = index[i];
+    if (!(z >= top && z <= base)) return v;
+    count++;
+    return valueAt(z);
+  });
+  return count;
+}
+
+/**
+ * Set every sample with top <= depth <= base to value (NaN for NULL). Returns the count.
+ */
+export function setDepthInterval(las, mnemonic, top, base, value) {
+  editableCurve(las, mnemonic);
+  const index = las.curves[0].data;
+  const lo = Math.min(top, base);
+  const hi = Math.max(top, base);
+  let count = 0;
+  applyCurveEdit(las, mnemonic, (v, i) => {
+    if (!(index[i] >= lo && index[i] <= hi)) return v;
+    count++;
+    return value;
+  });
+  return count;
+}
+
+/**
+ * Wire the hand-edit controls: #trackEditMode, #trackEditValue and the #trackEditButton
+ * toggle. startGraph() rebuilds the tracks, so call refresh() after it to keep editing.
+ */
+export function bindTrackEditor({
+  lasGetter = () => window.las,
+  tracksGetter = () => null,
+  modeSelectId = "trackEditMode",
+  valueInputId = "trackEditValue",
+  toggleBtnId = "trackEditButton",
+  protectedGetter = () => [], // mnemonics that cannot be edited
+  history = null, // editHistory.js
+} = {}) {
+  const modeSel = mustEl(modeSelectId);
+  const valueInput = mustEl(valueInputId);
+  const toggleBtn = mustEl(toggleBtnId);
+
+  const startLabel = toggleBtn.textContent;
+  let active = false;
+
+  modeSel.innerHTML = "";
+  for (const [key, mode] of Object.entries(TRACK_EDIT_MODES)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = mode.label;
+    modeSel.appendChild(opt);
+  }
+
+  function updateControls() {
+    valueInput.hidden = modeSel.value !== "interval";
+    toggleBtn.textContent = active ? "Stop editing" : startLabel;
+  }
+
+  function refresh() {
+    const tracks = tracksGetter();
+    if (!tracks?.setTrackEdit) return;
+    tracks.setTrackEdit(active ? { kind: TRACK_EDIT_MODES[modeSel.value].kind, onEdit } : null);
+  }
+
+  function onEdit({ mnemonic, points }) {
+    const las = lasGetter();
+    if (!las || !mnemonic) return;
+    if (protectedGetter().some(p => p.toUpperCase() === mnemonic.toUpperCase())) {
+      alert(`Cannot edit protected curve: ${mnemonic}`);
+      return;
+    }
+    const mode = modeSel.value;
+
+    let value = NaN;
+    if (mode === "interval" && valueInput.value.trim() !== "") {
+      value = Number(valueInput.value);
+      if (!Number.isFinite(value)) {
+        alert("Value must be a number (blank for NULL)");
+        return;
+      }
+    }
+
+    let count;
+    try {
+      count = recordEdit(history, `Hand edit ${mnemonic}`, () => {
+        const [n, details] = editSamples(las, mode, mnemonic, points, value);
+        if (n) logEdit(las, "Hand edit", `${mnemonic} ${details}`);
+        return n;
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    if (count) redrawTracks(tracksGetter(), mnemonic);
+  }
+
+  toggleBtn.addEventListener("click", () => {
+    if (!active && !lasGetter()) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    active = !active;
+    updateControls();
+    refresh();
+  });
+  modeSel.addEventListener("change", () => {
+    updateControls();
+    refresh();
+  });
+
+  updateControls();
+  return { refresh };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// [samples changed, audit trail details]
+function editSamples(las, mode, mnemonic, points, value) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const depths = points.map(p => p.depth);
+  const range = `${round(Math.min(...depths))} - ${round(Math.max(...depths))}`;
+  if (mode === "drag") {
+    const row = setSampleAt(las, mnemonic, first.depth, last.value);
+    return [row === -1 ? 0 : 1, `at ${round(las.curves[0].data[row])} set to ${round(last.value)}`];
+  }
+  if (mode === "draw") {
+    const n = drawSegment(las, mnemonic, points);
+    return [n, `redrawn over ${range} (${n} samples)`];
+  }
+  const n = setDepthInterval(las, mnemonic, first.depth, last.depth, value);
+  return [n, `over ${range} set to ${Number.isNaN(value) ? "NULL" : value} (${n} samples)`];
+}
+
+function round(v) {
+  return Number(v.toFixed(4));
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
+
+function editableCurve(las, mnemonic) {
+  const up = String(mnemonic || "").toUpperCase();
+  const idx = las.curves.findIndex(c => c.mnemonic.toUpperCase() === up);
+  if (idx === -1) throw new Error(`Curve not found: ${mnemonic}`);
+  if (idx === 0) throw new Error(`Cannot edit the depth index: ${las.curves[0].mnemonic}`);
+  if (Array.isArray(las.curves[idx].data)) throw new Error(`${las.curves[idx].mnemonic} is not a numeric curve`);
+  return las.curves[idx];
+}
+
+function nearestRow(index, depth) {
+  let best = -1;
+  for (let i = 0; i < index.length; i++) {
+    if (!Number.isFinite(index[i])) continue;
+    if (best === -1 || Math.abs(index[i] - depth) < Math.abs(index[best] - depth)) best = i;
+  }
+  return best;
+}
+
+function redrawTracks(tracksCtrl, mnemonic) {
+  const tracks = tracksCtrl?.state?.tracks || [];
+  tracks.forEach((t, i) => {
+    if (t.selectedMnemonic.toUpperCase() === mnemonic.toUpperCase()) tracksCtrl.setTrack(i, t.selectedMnemonic);
+  });
+}
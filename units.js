@@ -0,0 +1,45 @@
+// units.js
+// Depth unit registry. LAS files spell depth units many ways (M, METRES, F, FT, FEET, ...);
+// depthUnitKey() maps a spelling to "M" or "FT" and convertDepth() converts between them.
+// DOM-free, shared by lasio.js (LAS conversion / export) and the UI.
+
+export const DEPTH_UNITS = {
+  M: { key: "M", label: "m", name: "Metres", lasUnit: "M", metres: 1 },
+  FT: { key: "FT", label: "ft", name: "Feet", lasUnit: "FT", metres: 0.3048 },
+};
+
+const SPELLINGS = {
+  M: "M", METER: "M", METERS: "M", METRE: "M", METRES: "M", MTR: "M",
+  F: "FT", FT: "FT", FEET: "FT", FOOT: "FT",
+};
+
+// Tops are padded by this much above the shallowest and below the deepest top.
+export const TOPS_PADDING_M = 10;
+
+// "F" is also degrees Fahrenheit (TEMP.F, BHT.F): strict lookups, for values that need not
+// be depths, do not take it.
+const AMBIGUOUS_SPELLINGS = new Set(["F"]);
+
+/** "M" | "FT" for a recognized depth unit spelling, else null. */
+export function depthUnitKey(unit, { strict = false } = {}) {
+  const up = String(unit || "").trim().toUpperCase();
+  if (strict && AMBIGUOUS_SPELLINGS.has(up)) return null;
+  return SPELLINGS[up] ?? null;
+}
+
+/** Short label for UI text ("m", "ft"); unknown units fall back to metres. */
+export function depthUnitLabel(key) {
+  return (DEPTH_UNITS[key] || DEPTH_UNITS.M).label;
+}
+
+/**
+ * Convert a depth between unit keys. Non-finite values pass through. Results are rounded
+ * to 12 significant digits so converting back gives the original value exactly.
+ */
+export function convertDepth(v, fromKey, toKey) {
+  if (!Number.isFinite(v) || fromKey === toKey) return v;
+  const from = DEPTH_UNITS[fromKey];
+  const to = DEPTH_UNITS[toKey];
+  if (!from || !to) throw new Error(`Unknown depth unit: ${from ? toKey : fromKey}`);
+  return Number((v * from.metres / to.metres).toPrecision(12));
+}
@@ -0,0 +1,195 @@
+// wellHeaderEditor.js
+// Modal editor for the ~W well header (las.well, see lasio.js):
+// - standard items (UWI, WELL, COMP, FLD, LOC, SRVC, DATE) are always listed
+// - STRT / STOP / STEP / NULL are shown read-only; writeLAS derives them from the data
+// - any other item is a custom item and can be edited, removed or added
+// Changes are applied to las.well only on "Apply", so Cancel discards them.
+
+import { setWellItem, removeWellItem, syncWellDepthRange } from "./lasio.js";
+import { recordEdit } from "./editHistory.js";
+
+export const STANDARD_WELL_ITEMS = [
+  { mnemonic: "UWI", desc: "Unique well ID" },
+  { mnemonic: "WELL", desc: "Well name" },
+  { mnemonic: "COMP", desc: "Company" },
+  { mnemonic: "FLD", desc: "Field" },
+  { mnemonic: "LOC", desc: "Location" },
+  { mnemonic: "SRVC", desc: "Service company" },
+  { mnemonic: "DATE", desc: "Log date" },
+];
+
+const DERIVED_ITEMS = ["STRT", "STOP", "STEP", "NULL"];
+
+export function bindWellHeaderEditor({
+  lasGetter = () => window.las,
+  openBtnId = "wellHeaderButton",
+  modalId = "wellHeaderModal",
+  bodyId = "wellHeaderBody",
+  addBtnId = "wellHeaderAdd",
+  applyBtnId = "wellHeaderApply",
+  cancelBtnId = "wellHeaderCancel",
+  onChange = () => {},
+  history = null, // editHistory.js
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const tbody = mustEl(bodyId);
+  const addBtn = mustEl(addBtnId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  function openModal() {
+    const las = lasGetter();
+    if (!las) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    // Show the range the export will actually carry.
+    syncWellDepthRange(las);
+    rebuildRows(las, tbody);
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  addBtn.addEventListener("click", () => {
+    tbody.appendChild(makeRow({ mnemonic: "", unit: "", valueRaw: "", desc: "" }, { custom: true, isNew: true }));
+  });
+
+  applyBtn.addEventListener("click", () => {
+    const las = lasGetter();
+    if (!las) return;
+
+    let rows;
+    try {
+      rows = readRows(tbody);
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+
+    // Items no longer listed were removed by the user.
+    recordEdit(history, "Edit well header", () => {
+      const keep = new Set([...rows.map(r => r.mnemonic), ...DERIVED_ITEMS]);
+      for (const key of [...las.well.keys()]) {
+        if (!keep.has(key)) removeWellItem(las, key);
+      }
+
+      for (const r of rows) {
+        // An empty standard item that was never in the file stays out of the export.
+        if (!las.well.has(r.mnemonic) && !r.valueRaw && !r.unit) continue;
+        setWellItem(las, r.mnemonic, { value: r.valueRaw, unit: r.unit, desc: r.desc });
+      }
+    });
+
+    closeModal();
+    onChange(las);
+  });
+
+  return {
+    open: openModal,
+    destroy() {},
+  };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function rebuildRows(las, tbody) {
+  tbody.innerHTML = "";
+
+  for (const key of DERIVED_ITEMS) {
+    const item = las.well.get(key);
+    if (item) tbody.appendChild(makeRow(item, { readOnly: true }));
+  }
+
+  for (const std of STANDARD_WELL_ITEMS) {
+    const item = las.well.get(std.mnemonic) || { mnemonic: std.mnemonic, unit: "", valueRaw: "", desc: std.desc };
+    tbody.appendChild(makeRow(item, {}));
+  }
+
+  const known = new Set([...DERIVED_ITEMS, ...STANDARD_WELL_ITEMS.map(s => s.mnemonic)]);
+  for (const [key, item] of las.well) {
+    if (!known.has(key)) tbody.appendChild(makeRow(item, { custom: true }));
+  }
+}
+
+function makeRow(item, { readOnly = false, custom = false, isNew = false }) {
+  const tr = document.createElement("tr");
+  tr.dataset.custom = custom ? "1" : "";
+
+  const mnemonicCell = document.createElement("td");
+  if (isNew) {
+    mnemonicCell.appendChild(makeInput("mnemonic", "", "MNEM"));
+  } else {
+    mnemonicCell.textContent = item.mnemonic;
+    tr.dataset.mnemonic = item.mnemonic.toUpperCase();
+  }
+  tr.appendChild(mnemonicCell);
+
+  for (const [field, value] of [["unit", item.unit], ["valueRaw", item.valueRaw], ["desc", item.desc]]) {
+    const td = document.createElement("td");
+    const input = makeInput(field, value ?? "");
+    input.disabled = readOnly;
+    td.appendChild(input);
+    tr.appendChild(td);
+  }
+
+  const actions = document.createElement("td");
+  if (custom) {
+    const del = document.createElement("button");
+    del.type = "button";
+    del.textContent = "Remove";
+    del.addEventListener("click", () => tr.remove());
+    actions.appendChild(del);
+  } else if (readOnly) {
+    actions.textContent = "From data";
+  }
+  tr.appendChild(actions);
+
+  if (readOnly) tr.dataset.readOnly = "1";
+  return tr;
+}
+
+function makeInput(field, value, placeholder = "") {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.dataset.field = field;
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+function readRows(tbody) {
+  const out = [];
+  const seen = new Set();
+
+  for (const tr of tbody.querySelectorAll("tr")) {
+    if (tr.dataset.readOnly) continue;
+    const get = (field) => tr.querySelector(`input[data-field="${field}"]`)?.value.trim() ?? "";
+
+    const mnemonic = (tr.dataset.mnemonic || get("mnemonic").toUpperCase().replace(/[^A-Z0-9_]/g, ""));
+    if (!mnemonic) continue;
+    if (seen.has(mnemonic)) throw new Error(`Duplicate well item: ${mnemonic}`);
+    if (DERIVED_ITEMS.includes(mnemonic)) throw new Error(`${mnemonic} is derived from the data and cannot be added by hand`);
+    seen.add(mnemonic);
+
+    out.push({ mnemonic, unit: get("unit"), valueRaw: get("valueRaw"), desc: get("desc") });
+  }
+  return out;
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}
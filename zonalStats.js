@@ -1,9 +1,17 @@
+import { depthUnitLabel } from "./units.js";
+import { swPorosityMnemonic, swMnemonic, describeZoneParams } from "./petrophysics.js";
+import { zonesInInterval } from "./zoneParams.js";
+
 export function bindZonalStats({
   lasGetter = () => window.las,
   topsGetter = () => window.topsData,
+  zonesGetter = () => [], // zoneParams.js: overrides shown per zone; their cutoffs apply
   zonalButtonId = "zonalButton",
   cutoffInputId = "dphiCutoffInput",
   resistivitySelectorId = "resistivitySelector",
+  porosityModelSelectorId = "porosityModelSelector",
+  shaleCorrectionInputId = "shaleCorrectionInput",
+  swModelSelectorId = "swModelSelector",
   modalId = "zonalStatsModal",
   closeBtnId = "zonalStatsClose",
   customTopAId = "zonalTopA",
@@ -21,6 +29,13 @@ export function bindZonalStats({
   const allZonesBody = mustEl(allZonesBodyId);
   const customZoneBody = mustEl(customZoneBodyId);
 
+  // The porosity the Petrophysics panel feeds to SWARCH, and its Sw model.
+  const porosityMnemonic = () => swPorosityMnemonic({
+    porosityModel: mustEl(porosityModelSelectorId).value,
+    shaleCorrection: mustEl(shaleCorrectionInputId).checked,
+  });
+  const waterSaturationMnemonic = () => swMnemonic({ swModel: mustEl(swModelSelectorId).value });
+
   function openModal() {
     const las = lasGetter();
     const topsData = topsGetter();
@@ -34,9 +49,9 @@ export function bindZonalStats({
       return;
     }
 
-    populateTopSelectors(customTopA, customTopB, topsData.tops);
-    renderAllZonesTable({ las, topsData, tbody: allZonesBody, cutoffInputId, resistivitySelectorId });
-    renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId });
+    populateTopSelectors(customTopA, customTopB, topsData.tops, depthUnitLabel(topsData.unit));
+    renderAllZonesTable({ las, topsData, tbody: allZonesBody, cutoffInputId, resistivitySelectorId, porosityMnemonic: porosityMnemonic(), swMnemonic: waterSaturationMnemonic(), zones: zonesGetter() });
+    renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId, porosityMnemonic: porosityMnemonic(), swMnemonic: waterSaturationMnemonic(), zones: zonesGetter() });
 
     modal.classList.add("open");
     modal.setAttribute("aria-hidden", "false");
@@ -53,7 +68,7 @@ export function bindZonalStats({
     const las = lasGetter();
     const topsData = topsGetter();
     if (!las || !topsData?.tops?.length) return;
-    renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId });
+    renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId, porosityMnemonic: porosityMnemonic(), swMnemonic: waterSaturationMnemonic(), zones: zonesGetter() });
   });
 
   modal.addEventListener("mousedown", (e) => {
@@ -66,9 +81,9 @@ export function bindZonalStats({
       const las = lasGetter();
       const topsData = topsGetter();
       if (!las || !topsData?.tops?.length) return;
-      populateTopSelectors(customTopA, customTopB, topsData.tops);
-      renderAllZonesTable({ las, topsData, tbody: allZonesBody, cutoffInputId, resistivitySelectorId });
-      renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId });
+      populateTopSelectors(customTopA, customTopB, topsData.tops, depthUnitLabel(topsData.unit));
+      renderAllZonesTable({ las, topsData, tbody: allZonesBody, cutoffInputId, resistivitySelectorId, porosityMnemonic: porosityMnemonic(), swMnemonic: waterSaturationMnemonic(), zones: zonesGetter() });
+      renderCustomZone({ las, topsData, tbody: customZoneBody, topASelect: customTopA, topBSelect: customTopB, cutoffInputId, resistivitySelectorId, porosityMnemonic: porosityMnemonic(), swMnemonic: waterSaturationMnemonic(), zones: zonesGetter() });
     },
     destroy() {},
   };
@@ -80,7 +95,7 @@ function mustEl(id) {
   return el;
 }
 
-function populateTopSelectors(selA, selB, tops) {
+function populateTopSelectors(selA, selB, tops, unitLabel) {
   const prevA = selA.value;
   const prevB = selB.value;
   const sorted = getSortedNumericTops(tops);
@@ -91,12 +106,12 @@ function populateTopSelectors(selA, selB, tops) {
   for (const top of sorted) {
     const optA = document.createElement("option");
     optA.value = top.label;
-    optA.textContent = `${top.label} (${formatNumber(top.topD, 2)} m)`;
+    optA.textContent = `${top.label} (${formatNumber(top.topD, 2)} ${unitLabel})`;
     selA.appendChild(optA);
 
     const optB = document.createElement("option");
     optB.value = top.label;
-    optB.textContent = `${top.label} (${formatNumber(top.topD, 2)} m)`;
+    optB.textContent = `${top.label} (${formatNumber(top.topD, 2)} ${unitLabel})`;
     selB.appendChild(optB);
   }
 
@@ -106,7 +121,7 @@ function populateTopSelectors(selA, selB, tops) {
   }
 }
 
-function renderAllZonesTable({ las, topsData, tbody, cutoffInputId, resistivitySelectorId }) {
+function renderAllZonesTable({ las, topsData, tbody, cutoffInputId, resistivitySelectorId, porosityMnemonic, swMnemonic, zones }) {
   tbody.innerHTML = "";
   const sorted = getSortedNumericTops(topsData.tops);
 
@@ -115,6 +130,25 @@ function renderAllZonesTable({ las, topsData, tbody, cutoffInputId, resistivityS
     return;
   }
 
+  const zoneStats = computeAllZoneStats({
+    las,
+    tops: topsData.tops,
+    cutoff: getNumericInputValue(cutoffInputId),
+    resistivityMnemonic: (mustEl(resistivitySelectorId).value || "").trim(),
+    porosityMnemonic,
+    swMnemonic,
+    zones,
+  });
+  for (const zone of zoneStats) tbody.appendChild(makeStatsRow({ ...zone, params: zoneParamsText(zones, zone.topA, zone.topB) }));
+}
+
+/**
+ * Stats for every zone between two consecutive numeric tops (shallowest first):
+ * [{ zoneName, topA, topB, stats }]. DOM-free (used by lasBatch.js too).
+ */
+export function computeAllZoneStats({ las, tops, cutoff, resistivityMnemonic, porosityMnemonic = "DPHIX", swMnemonic = "SWARCH", zones = [] }) {
+  const sorted = getSortedNumericTops(tops);
+  const out = [];
   for (let i = 0; i < sorted.length - 1; i++) {
     const topA = sorted[i];
     const topB = sorted[i + 1];
@@ -122,20 +156,18 @@ function renderAllZonesTable({ las, topsData, tbody, cutoffInputId, resistivityS
       las,
       topDepthA: topA.topD,
       topDepthB: topB.topD,
-      cutoff: getNumericInputValue(cutoffInputId),
-      resistivityMnemonic: (mustEl(resistivitySelectorId).value || "").trim(),
+      cutoff,
+      resistivityMnemonic,
+      porosityMnemonic,
+      swMnemonic,
+      zones,
     });
-
-    tbody.appendChild(makeStatsRow({
-      zoneName: `${topA.label.slice(0,-8)} -> ${topB.label.slice(0,-8)}`,
-      topA,
-      topB,
-      stats,
-    }));
+    out.push({ zoneName: `${topA.label} -> ${topB.label}`, topA, topB, stats });
   }
+  return out;
 }
 
-function renderCustomZone({ las, topsData, tbody, topASelect, topBSelect, cutoffInputId, resistivitySelectorId }) {
+function renderCustomZone({ las, topsData, tbody, topASelect, topBSelect, cutoffInputId, resistivitySelectorId, porosityMnemonic, swMnemonic, zones }) {
   tbody.innerHTML = "";
   const sorted = getSortedNumericTops(topsData.tops);
   if (sorted.length < 2) {
@@ -157,6 +189,9 @@ function renderCustomZone({ las, topsData, tbody, topASelect, topBSelect, cutoff
     topDepthB: topB.topD,
     cutoff: getNumericInputValue(cutoffInputId),
     resistivityMnemonic: (mustEl(resistivitySelectorId).value || "").trim(),
+    porosityMnemonic,
+    swMnemonic,
+    zones,
   });
 
   tbody.appendChild(makeStatsRow({
@@ -164,23 +199,28 @@ function renderCustomZone({ las, topsData, tbody, topASelect, topBSelect, cutoff
     topA,
     topB,
     stats,
+    params: zoneParamsText(zones, topA, topB),
   }));
 }
 
-function computeZoneStats({ las, topDepthA, topDepthB, cutoff, resistivityMnemonic }) {
+// porosityMnemonic / swMnemonic: DPHIX / SWARCH, or the porosity and Sw model in use
+// (petrophysics.js). zones (zoneParams.js petroZones) override the cutoff within them.
+export function computeZoneStats({ las, topDepthA, topDepthB, cutoff, resistivityMnemonic, porosityMnemonic = "DPHIX", swMnemonic = "SWARCH", zones = [] }) {
   const depthCurve = findCurve(las, ["DEPT", "DEPTH"]);
-  const dphiCurve = findCurve(las, ["DPHIX"]);
-  const swCurve = findCurve(las, ["SWARCH"]);
+  const dphiCurve = findCurve(las, [porosityMnemonic]);
+  const swCurve = findCurve(las, [swMnemonic]);
+  const vshCurve = findCurve(las, ["VSH"]);
   const resCurve = findCurve(las, [resistivityMnemonic]);
 
-  if (!depthCurve || !dphiCurve) {
+  if (!depthCurve || (!dphiCurve && !vshCurve)) {
     return emptyStats();
   }
 
   const depth = depthCurve.data || [];
-  const dphi = dphiCurve.data || [];
+  const dphi = dphiCurve?.data || [];
   const sw = swCurve?.data || [];
   const res = resCurve?.data || [];
+  const vsh = vshCurve?.data || [];
   const n = Math.max(depth.length, dphi.length, sw.length, res.length);
 
   const zTop = Math.min(topDepthA, topDepthB);
@@ -193,13 +233,22 @@ function computeZoneStats({ las, topDepthA, topDepthB, cutoff, resistivityMnemon
   let resistivityCount = 0;
   let swWeightedNumerator = 0;
   let swWeightDenominator = 0;
+  let vshSum = 0;
+  let vshCount = 0;
 
   for (let i = 0; i < n; i++) {
     const d = depth[i];
+    if (!Number.isFinite(d) || d < zTop || d >= zBase) continue;
+
+    // Shale volume is averaged over the whole zone, not only the porous samples.
+    if (Number.isFinite(vsh[i])) {
+      vshSum += vsh[i];
+      vshCount += 1;
+    }
+
     const phi = dphi[i];
-    if (!Number.isFinite(d) || !Number.isFinite(phi)) continue;
-    if (d < zTop || d >= zBase) continue;
-    if (phi <= cutoff) continue;
+    if (!Number.isFinite(phi)) continue;
+    if (phi <= cutoffAt(zones, d, cutoff)) continue;
 
     netPorousInterval += phi;
     porositySum += phi;
@@ -219,10 +268,11 @@ function computeZoneStats({ las, topDepthA, topDepthB, cutoff, resistivityMnemon
   }
 
   return {
-    netPorousInterval,
+    netPorousInterval: dphiCurve ? netPorousInterval : null,
     averagePorosity: porosityCount > 0 ? porositySum / porosityCount : null,
     averageResistivity: resistivityCount > 0 ? resistivitySum / resistivityCount : null,
     averageWaterSaturation: swWeightDenominator > 0 ? swWeightedNumerator / swWeightDenominator : null,
+    averageShaleVolume: vshCount > 0 ? vshSum / vshCount : null,
     count: porosityCount,
   };
 }
@@ -233,11 +283,12 @@ function emptyStats() {
     averagePorosity: null,
     averageResistivity: null,
     averageWaterSaturation: null,
+    averageShaleVolume: null,
     count: 0,
   };
 }
 
-function makeStatsRow({ zoneName, topA, topB, stats }) {
+function makeStatsRow({ zoneName, topA, topB, stats, params }) {
   const tr = document.createElement("tr");
   const cells = [
     zoneName,
@@ -247,6 +298,8 @@ function makeStatsRow({ zoneName, topA, topB, stats }) {
     formatNumber(stats.averagePorosity, 2),
     formatNumber(stats.averageResistivity, 2),
     formatNumber(stats.averageWaterSaturation, 2),
+    formatNumber(stats.averageShaleVolume, 2),
+    params,
   ];
 
   for (const val of cells) {
@@ -260,12 +313,31 @@ function makeStatsRow({ zoneName, topA, topB, stats }) {
 function makeMessageRow(message) {
   const tr = document.createElement("tr");
   const td = document.createElement("td");
-  td.colSpan = 7;
+  td.colSpan = 9;
   td.textContent = message;
   tr.appendChild(td);
   return tr;
 }
 
+// The overriding zone's cutoff at depth, else the panel cutoff.
+function cutoffAt(zones, depth, cutoff) {
+  const zone = zones.find(z => depth >= z.top && (z.base == null || depth < z.base));
+  return zone?.params.cutoff ?? cutoff;
+}
+
+// Parameter overrides in force between two tops: "defaults", "Pma=2650 Rw=0.03", or one
+// "zone: ..." entry per overridden zone when the interval spans several zones.
+function zoneParamsText(zones, topA, topB) {
+  const within = zonesInInterval(zones || [], topA.topD, topB.topD);
+  if (!within.length) return "defaults";
+  const lo = Math.min(topA.topD, topB.topD);
+  const hi = Math.max(topA.topD, topB.topD);
+  if (within.length === 1 && within[0].top <= lo && (within[0].base == null || within[0].base >= hi)) {
+    return describeZoneParams(within[0].params);
+  }
+  return within.map(z => `${z.name}: ${describeZoneParams(z.params)}`).join("; ");
+}
+
 function getSortedNumericTops(tops) {
   return [...(tops || [])]
     .filter(t => Number.isFinite(t.topD) && t.label)
@@ -0,0 +1,197 @@
+// zoneParams.js
+// Per-zone petrophysical parameters. A zone runs from one top down to the next (the last
+// one to the bottom of the well) and is keyed by its top's label, so the overrides survive
+// reloading the tops. Blank cells use the Petrophysics panel value.
+// The overrides are kept on the LAS (las.zoneParams), so undo / redo restores them with the
+// curves computed from them.
+// - petroZones() turns the overrides into computePetroCurves zones (DOM-free)
+// - bindZoneParams() wires the Zone Parameters modal
+
+import { ZONE_PARAM_KEYS } from "./petrophysics.js";
+import { recordEdit } from "./editHistory.js";
+
+// Panel input holding the default of each parameter, shown as the cell placeholder.
+const DEFAULT_INPUT_IDS = {
+  pma: "pmaInput",
+  pf: "pfInput",
+  rw: "rwInput",
+  a: "aInput",
+  m: "mInput",
+  n: "nInput",
+  cutoff: "dphiCutoffInput",
+};
+
+/**
+ * Zones with at least one override, shallowest first: [{ name, top, base, params }].
+ * overrides: { [top label]: { pma, rw, ... } }.
+ */
+export function petroZones(tops, overrides = {}) {
+  const sorted = sortedTops(tops);
+  const zones = [];
+  sorted.forEach((t, i) => {
+    const params = {};
+    for (const k of ZONE_PARAM_KEYS) {
+      const v = overrides[t.label]?.[k];
+      if (Number.isFinite(v)) params[k] = v;
+    }
+    if (!Object.keys(params).length) return;
+    zones.push({ name: t.label, top: t.topD, base: sorted[i + 1]?.topD ?? null, params });
+  });
+  return zones;
+}
+
+/**
+ * Overrides of the zones overlapping [top, base]: [{ name, params }], shallowest first.
+ */
+export function zonesInInterval(zones, top, base) {
+  const lo = Math.min(top, base);
+  const hi = Math.max(top, base);
+  return zones.filter(z => z.top < hi && (z.base == null || z.base > lo));
+}
+
+export function bindZoneParams({
+  lasGetter = () => window.las,
+  topsGetter = () => window.topsData,
+  openBtnId = "zoneParamsButton",
+  modalId = "zoneParamsModal",
+  bodyId = "zoneParamsBody",
+  clearBtnId = "zoneParamsClear",
+  applyBtnId = "zoneParamsApply",
+  cancelBtnId = "zoneParamsCancel",
+  // Runs inside the recorded edit, after las.zoneParams is set: recompute the curves there.
+  onChange = () => {},
+  history = null, // editHistory.js
+} = {}) {
+  const openBtn = mustEl(openBtnId);
+  const modal = mustEl(modalId);
+  const tbody = mustEl(bodyId);
+  const clearBtn = mustEl(clearBtnId);
+  const applyBtn = mustEl(applyBtnId);
+  const cancelBtn = mustEl(cancelBtnId);
+
+  const overrides = () => lasGetter()?.zoneParams || {};
+
+  function openModal() {
+    if (!lasGetter()) {
+      alert("Load a LAS file first.");
+      return;
+    }
+    const tops = sortedTops(topsGetter()?.tops);
+    if (!tops.length) {
+      alert("Load a tops file first.");
+      return;
+    }
+    rebuildRows(tbody, tops, overrides());
+    modal.classList.add("open");
+    modal.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal() {
+    modal.classList.remove("open");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  openBtn.addEventListener("click", openModal);
+  cancelBtn.addEventListener("click", closeModal);
+  modal.addEventListener("mousedown", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  clearBtn.addEventListener("click", () => {
+    for (const input of tbody.querySelectorAll("input")) input.value = "";
+  });
+
+  applyBtn.addEventListener("click", () => {
+    const las = lasGetter();
+    if (!las) return;
+    let next;
+    try {
+      next = readRows(tbody);
+    } catch (err) {
+      alert(String(err?.message ?? err));
+      return;
+    }
+    // Zones of tops not loaded now keep their overrides.
+    const shown = new Set([...tbody.querySelectorAll("tr")].map(tr => tr.dataset.label));
+    for (const [label, params] of Object.entries(overrides())) {
+      if (!shown.has(label)) next[label] = params;
+    }
+    const changed = JSON.stringify(next) !== JSON.stringify(overrides());
+    closeModal();
+    if (!changed) return;
+    try {
+      recordEdit(history, "Zone parameters", () => {
+        las.zoneParams = next;
+        onChange(next);
+      });
+    } catch (err) {
+      alert(String(err?.message ?? err));
+    }
+  });
+
+  return {
+    overrides,
+    zones: () => petroZones(topsGetter()?.tops, overrides()),
+  };
+}
+
+/* ------------------------- helpers ------------------------- */
+
+function rebuildRows(tbody, tops, overrides) {
+  tbody.innerHTML = "";
+  tops.forEach((t, i) => {
+    const tr = document.createElement("tr");
+    tr.dataset.label = t.label;
+
+    const base = tops[i + 1];
+    for (const text of [t.label, formatDepth(t.topD), base ? formatDepth(base.topD) : "bottom"]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+
+    for (const k of ZONE_PARAM_KEYS) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.dataset.param = k;
+      input.value = overrides[t.label]?.[k] ?? "";
+      input.placeholder = document.getElementById(DEFAULT_INPUT_IDS[k])?.value ?? "";
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+}
+
+function readRows(tbody) {
+  const out = {};
+  for (const tr of tbody.querySelectorAll("tr")) {
+    const params = {};
+    for (const input of tr.querySelectorAll("input[data-param]")) {
+      if (input.value.trim() === "") continue;
+      const v = Number(input.value);
+      if (!Number.isFinite(v)) throw new Error(`${input.dataset.param} of ${tr.dataset.label} must be a number`);
+      params[input.dataset.param] = v;
+    }
+    if (Object.keys(params).length) out[tr.dataset.label] = params;
+  }
+  return out;
+}
+
+function sortedTops(tops) {
+  return [...(tops || [])]
+    .filter(t => Number.isFinite(t.topD) && t.label)
+    .sort((a, b) => a.topD - b.topD);
+}
+
+function formatDepth(v) {
+  return Number(v.toFixed(2)).toString();
+}
+
+function mustEl(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing #${id}`);
+  return el;
+}